@@ -1,4 +1,10 @@
-const serverless = require('serverless-http');
-const app = require('./server');
+import { createApp } from '../src/app.js';
 
-module.exports.handler = serverless(app);
+// An Express app is itself a (req, res) handler, so the whole middleware chain is awaited properly
+const app = createApp();
+
+// Vercel function: every path is rewritten here (see vercel.json)
+export default app;
+
+// Google Cloud Functions entrypoint ("Function to Execute": bandwidthHeroProxy)
+export { app as bandwidthHeroProxy };
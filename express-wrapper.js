@@ -1,13 +1,10 @@
-var express = require('express');
-var app = express();
-var bandwidthHeroProxy = require('./index.js').bandwidthHeroProxy;
+import express from 'express';
+import { createRouter } from './src/app.js';
 
-app.use('/bandwidth-hero', bandwidthHeroProxy);
+// Local development: the proxy mounted inside another Express app
+const app = express();
 
-// app.post('/test', function(req,res){
-//     res.send('Hello World!');
-//     return;
-// });
+app.use('/bandwidth-hero', createRouter());
 
 app.get('/test', function(req,res){
     res.send('Hello World!');
@@ -1,16 +1,6 @@
-'use strict'
+'use strict';
 
-//const http = require('http');
-
-const authenticate = require('./src/authenticate')
-const params = require('./src/params')
-const proxy = require('./src/proxy')
-
-exports.bandwidthHeroProxy = (req, res) => {
-    
-    authenticate(req, res, function(){});
-    if(!res.headersSent){
-        params(req, res, function(){});
-        proxy(req, res, function(){});
-    }
-};
+// Library entry: factories only, so importing the package starts nothing (the deployed
+// function lives in api/index.js)
+export { createApp, createRouter } from './src/app.js';
+export { loadConfig } from './src/config.js';
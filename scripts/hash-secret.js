@@ -0,0 +1,23 @@
+#!/usr/bin/env node
+'use strict';
+
+// Prints hashes for USERS_FILE entries.
+//   npm run hash-secret -- <password>   -> "password" value
+//   npm run hash-secret -- --api-key    -> new API key (give it out) and its "apiKeys" hash
+
+import { hashPassword, hashApiKey, generateApiKey } from '../src/secrets.js';
+
+const [arg] = process.argv.slice(2);
+
+if (!arg) {
+  console.error('Usage: npm run hash-secret -- <password> | --api-key');
+  process.exit(1);
+}
+
+if (arg === '--api-key') {
+  const key = generateApiKey();
+  console.log(`API key: ${key}`);
+  console.log(`Hash:    ${hashApiKey(key)}`);
+} else {
+  console.log(hashPassword(arg));
+}
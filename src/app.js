@@ -0,0 +1,109 @@
+import express from 'express';
+import helmet from 'helmet';
+import { createAuthenticate } from './authenticate.js';
+import { createRateLimit } from './rateLimit.js';
+import { createContext } from './context.js';
+import params, { uploadParams } from './params.js';
+import proxy from './proxy.js';
+import metricsHandler from './metrics.js';
+import batch, { batchBody } from './batch.js';
+import upload, { uploadBody } from './upload.js';
+import { requestLogger } from './logger.js';
+import defaultConfig from './config.js';
+
+/**
+ * Programmatic API. Every entrypoint (server.js, the Vercel and Cloud Functions handlers in
+ * api/index.js) wraps one of these.
+ *
+ * Options:
+ *   config        settings (see config.js; default: loaded from the environment and CONFIG_FILE).
+ *                 Each router builds its caches, encode workers, rules and users from it, so apps
+ *                 with different configs can share a process: createApp({ config: loadConfig({ env }) })
+ *   authenticate  middleware guarding the proxy; false disables it (default: Basic/Bearer per config)
+ *   rateLimit     middleware run after authentication; false disables it (default: config's limits)
+ *   metrics       serve Prometheus metrics on GET /metrics (default: true)
+ *   logging       log one JSON line per request (default: LOG_REQUESTS); request IDs are assigned either way
+ *   trustProxy    Express `trust proxy` setting, used for client IPs (default: TRUST_PROXY)
+ */
+
+/**
+ * Express router with the proxy on `GET /`, batches on `POST /batch`, uploads on `POST /compress`
+ * (and `GET /metrics`), for mounting inside another app:
+ *
+ *   app.use('/bandwidth-hero', createRouter({ metrics: false }));
+ *
+ * The host app decides on `trust proxy`.
+ */
+export function createRouter({
+  config = defaultConfig,
+  authenticate = createAuthenticate({ config }),
+  rateLimit = createRateLimit({ config }),
+  metrics = true,
+  logging = config.logging.requests
+} = {}) {
+  const context = createContext({ config });
+  const router = express.Router();
+
+  router.use(requestLogger({ config, summary: logging }));
+
+  // Settings and services the handlers use (see context.js)
+  router.use((req, res, next) => {
+    req.context = context;
+    next();
+  });
+
+  const chain = [authenticate, rateLimit].filter(Boolean);
+  router.get('/', ...chain, params, proxy);
+  router.post('/batch', ...chain, batchBody, batch);
+  router.post('/compress', ...chain, uploadBody, uploadParams, upload);
+
+  // Prometheus metrics (set METRICS_TOKEN to require a bearer token)
+  if (metrics) router.get('/metrics', metricsHandler);
+
+  return router;
+}
+
+/**
+ * Complete Express app (security headers, access logs, health check), usable as a
+ * request handler by serverless platforms or with `app.listen()`.
+ */
+export function createApp({
+  config = defaultConfig,
+  logging = config.logging.requests,
+  trustProxy = config.server.trustProxy,
+  ...routerOptions
+} = {}) {
+  const app = express();
+
+  // Security Middleware
+  app.use(helmet.hidePoweredBy());
+  app.use(helmet.xssFilter());
+  app.use(helmet.noSniff());
+  app.use(helmet.ieNoOpen());
+  app.use(helmet.frameguard({ action: 'deny' }));
+  app.use(
+    helmet.contentSecurityPolicy({
+      useDefaults: true,
+      directives: {
+        defaultSrc: ["'self'"],
+        imgSrc: ["'self'", 'data:', 'https:'],
+      },
+    })
+  );
+
+  // Request IDs and per-request log lines
+  app.use(requestLogger({ config, summary: logging }));
+
+  // Client IPs (rate limiting, logs) come from X-Forwarded-For only when sent by a trusted proxy
+  app.set('trust proxy', trustProxy);
+
+  // Health check route
+  app.get('/healthz', (req, res) => res.status(200).send('OK'));
+
+  // Handle favicon requests
+  app.get('/favicon.ico', (req, res) => res.status(204).end());
+
+  app.use(createRouter({ config, logging, ...routerOptions }));
+
+  return app;
+}
@@ -1,7 +1,16 @@
 import auth from 'basic-auth';
 import crypto from 'crypto';
+import { createUserStore } from './users.js';
+import defaultConfig from './config.js';
 
-const { LOGIN, PASSWORD } = process.env;
+// Failed logins are counted per client IP and minute (AUTH_MAX_FAILURES), here because
+// authentication runs before the rate limiter
+const FAILURE_WINDOW_MS = 60_000;
+const FAILURE_MAX_KEYS = 10_000;
+
+function clientIp(req) {
+  return req.ip || req.socket?.remoteAddress || 'unknown';
+}
 
 /**
  * Timing-safe comparison to prevent subtle side-channel attacks.
@@ -17,22 +26,94 @@ function safeCompare(a, b) {
 }
 
 /**
- * Express middleware for HTTP Basic Authentication.
+ * Extracts a bearer token from the Authorization header, if any.
+ */
+function getBearerToken(req) {
+  const header = req.headers.authorization;
+  if (typeof header !== 'string') return null;
+  const match = header.match(/^Bearer\s+(\S+)\s*$/i);
+  return match ? match[1] : null;
+}
+
+/**
+ * Builds the middleware for HTTP Basic / Bearer Authentication against `config`'s users file
+ * and LOGIN/PASSWORD pair. On success the identity ({ name, via, defaults }) is attached as `req.user`.
  */
-export default function authenticate(req, res, next) {
-  // Skip authentication if no credentials are set (development mode)
-  if (!LOGIN || !PASSWORD) return next();
-
-  const credentials = auth(req);
-
-  if (
-    !credentials ||
-    !safeCompare(credentials.name, LOGIN) ||
-    !safeCompare(credentials.pass, PASSWORD)
-  ) {
-    res.setHeader('WWW-Authenticate', 'Basic realm="Bandwidth-Hero Compression Service"');
-    return res.status(401).end('Access denied');
+export function createAuthenticate({ config = defaultConfig, users = createUserStore({ config }) } = {}) {
+  const { login: LOGIN, password: PASSWORD, maxFailuresPerMinute: MAX_FAILURES } = config.auth;
+
+  // ip -> { count, resetAt }
+  const failures = new Map();
+
+  // Seconds until `ip` may try again, or 0 when it is not throttled (MAX_FAILURES 0 never throttles)
+  function throttledFor(ip) {
+    const entry = failures.get(ip);
+    if (!entry) return 0;
+    const remaining = entry.resetAt - Date.now();
+    if (remaining <= 0) {
+      failures.delete(ip);
+      return 0;
+    }
+    return MAX_FAILURES && entry.count >= MAX_FAILURES ? Math.ceil(remaining / 1000) : 0;
+  }
+
+  function recordFailure(ip) {
+    const entry = failures.get(ip) || { count: 0, resetAt: Date.now() + FAILURE_WINDOW_MS };
+    entry.count += 1;
+    failures.delete(ip);
+    failures.set(ip, entry);
+    if (failures.size > FAILURE_MAX_KEYS) failures.delete(failures.keys().next().value);
   }
 
-  next();
+  // Users file (Basic password/API key or Bearer API key) first, then the legacy LOGIN/PASSWORD pair
+  async function identify(req) {
+    const token = getBearerToken(req);
+    if (token) return users.enabled ? users.findByApiKey(token) : null;
+
+    const credentials = auth(req);
+    if (!credentials) return null;
+
+    if (users.enabled) {
+      const user = await users.findByCredentials(credentials.name, credentials.pass);
+      if (user) return user;
+    }
+
+    if (
+      LOGIN && PASSWORD &&
+      safeCompare(credentials.name, LOGIN) &&
+      safeCompare(credentials.pass, PASSWORD)
+    ) {
+      return { name: LOGIN, via: 'basic', defaults: {} };
+    }
+
+    return null;
+  }
+
+  return async function authenticate(req, res, next) {
+    // Skip authentication if no credentials are set (development mode)
+    if (!users.enabled && (!LOGIN || !PASSWORD)) {
+      req.user = null;
+      return next();
+    }
+
+    const presented = Boolean(req.headers.authorization);
+    const ip = clientIp(req);
+    const retryAfter = presented ? throttledFor(ip) : 0;
+    if (retryAfter) {
+      res.setHeader('Retry-After', String(retryAfter));
+      return res.status(429).json({ error: 'Too many failed logins.' });
+    }
+
+    const user = await identify(req);
+
+    if (!user) {
+      // A browser's first, credential-less request is not a failed login
+      if (presented) recordFailure(ip);
+      res.setHeader('WWW-Authenticate', 'Basic realm="Bandwidth-Hero Compression Service"');
+      return res.status(401).end('Access denied');
+    }
+
+    req.user = user;
+    next();
+  };
 }
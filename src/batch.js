@@ -0,0 +1,272 @@
+import express from 'express';
+import { Writable } from 'stream';
+import params from './params.js';
+import proxy from './proxy.js';
+import logger from './logger.js';
+
+/**
+ * POST /batch: compresses a list of images in one call.
+ *
+ * Body (JSON):
+ *   {
+ *     "urls": ["https://example.com/a.jpg", ...],
+ *     "params": { "l": 40, "bw": 0, "fmt": "webp", "w": 800 },  // shared; same names as the GET query
+ *     "inline": true                                            // base64 bodies instead of links
+ *   }
+ *
+ * Every item runs through the same params/proxy pipeline as GET / (cache, coalescing, rules,
+ * negotiation) against an in-memory response, BATCH_CONCURRENCY at a time. Each URL counts
+ * against the client's rate limit like a GET (the batch request itself pays for the first);
+ * URLs over the limit get a 429 entry with `retryAfter` in seconds. Items do not take the
+ * client's compression slots (see rateLimit.js); BATCH_CONCURRENCY bounds them. The reply is a
+ * manifest with one entry per URL, in order. Items that are not inlined (or are larger than
+ * BATCH_INLINE_MAX_BYTES) come with a `link`: the equivalent GET, answered from the result cache.
+ * Origins that are not images are not downloaded (GET / would stream them through): those items
+ * come back with a `location` to fetch them from instead.
+ */
+
+// --- Constants ---
+const BODY_LIMIT = '256kb'; // generous for BATCH_MAX_ITEMS long URLs
+
+const QUERY_PARAMS = new Set(['l', 'bw', 'fmt', 'jpeg', 'w', 'h', 'dpr', 'fit', 'smallest', 'maxBytes', 'ratio']);
+
+// The batch request's own body and conditionals must not leak into the items
+const ITEM_STRIPPED_HEADERS = [
+  'content-length',
+  'content-type',
+  'content-encoding',
+  'transfer-encoding',
+  'if-none-match',
+  'if-modified-since',
+  'range'
+];
+
+/**
+ * Collects what the pipeline sends for one item: status, headers and body.
+ * Implements the subset of the Express response API the pipeline uses.
+ */
+class CapturedResponse extends Writable {
+  constructor() {
+    super();
+    this.statusCode = 200;
+    this.headersSent = false;
+    this.headers = new Map();
+    this.chunks = [];
+    this.size = 0;
+  }
+
+  _write(chunk, encoding, callback) {
+    this.headersSent = true;
+    this.chunks.push(chunk);
+    this.size += chunk.length;
+    callback();
+  }
+
+  end(...args) {
+    this.headersSent = true;
+    return super.end(...args);
+  }
+
+  status(code) {
+    this.statusCode = code;
+    return this;
+  }
+
+  json(value) {
+    this.setHeader('content-type', 'application/json; charset=utf-8');
+    return this.end(JSON.stringify(value));
+  }
+
+  send(body) {
+    return this.end(Buffer.isBuffer(body) ? body : String(body ?? ''));
+  }
+
+  setHeader(name, value) {
+    this.headers.set(name.toLowerCase(), value);
+    return this;
+  }
+
+  getHeader(name) {
+    return this.headers.get(name.toLowerCase());
+  }
+
+  getHeaders() {
+    return Object.fromEntries(this.headers);
+  }
+
+  hasHeader(name) {
+    return this.headers.has(name.toLowerCase());
+  }
+
+  removeHeader(name) {
+    this.headers.delete(name.toLowerCase());
+  }
+
+  get body() {
+    return Buffer.concat(this.chunks, this.size);
+  }
+}
+
+function badRequest(res, error) {
+  return res.status(400).json({ error });
+}
+
+const jsonBody = express.json({ limit: BODY_LIMIT });
+
+/**
+ * Middleware: parses the JSON body, answering malformed or oversized bodies with a JSON error.
+ */
+export function batchBody(req, res, next) {
+  jsonBody(req, res, (err) => {
+    if (!err) return next();
+    if (err.type === 'entity.too.large') return res.status(413).json({ error: 'Batch body too large.' });
+    return badRequest(res, 'Body must be valid JSON.');
+  });
+}
+
+// Validates the body (at most `maxItems` URLs); returns { urls, query, inline } or an error message
+function parseBatch(body, maxItems) {
+  if (!body || typeof body !== 'object') return 'Expected a JSON object body.';
+
+  const { urls, params: shared = {}, inline = false } = body;
+  if (!Array.isArray(urls) || !urls.length) return '"urls" must be a non-empty array.';
+  if (urls.length > maxItems) return `At most ${maxItems} URLs per batch.`;
+  if (!urls.every(url => typeof url === 'string' && url)) return '"urls" must contain strings.';
+  if (typeof inline !== 'boolean') return '"inline" must be a boolean.';
+  if (!shared || typeof shared !== 'object' || Array.isArray(shared)) return '"params" must be an object.';
+
+  const query = {};
+  for (const [name, value] of Object.entries(shared)) {
+    if (!QUERY_PARAMS.has(name)) return `Unknown parameter "${name}".`;
+    if (!['string', 'number', 'boolean'].includes(typeof value)) return `Parameter "${name}" must be a scalar.`;
+    query[name] = typeof value === 'boolean' ? (value ? '1' : '0') : String(value);
+  }
+
+  return { urls, query, inline };
+}
+
+// Runs fn over items with at most `limit` in flight; results keep the input order
+async function mapLimit(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const lanes = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  });
+  await Promise.all(lanes);
+  return results;
+}
+
+// Runs one URL through params + proxy as if it were GET /?url=...
+async function runItem(req, query) {
+  const headers = { ...req.headers };
+  for (const name of ITEM_STRIPPED_HEADERS) delete headers[name];
+
+  const itemReq = {
+    method: 'GET',
+    path: '/',
+    url: `/?${new URLSearchParams(query)}`,
+    query,
+    headers,
+    // Held in memory, so pass-through bodies are declined (see proxy.js)
+    params: { batch: true },
+    context: req.context,
+    user: req.user,
+    ip: req.ip,
+    id: req.id,
+    socket: req.socket
+  };
+  const itemRes = new CapturedResponse();
+
+  try {
+    await params(itemReq, itemRes, () => proxy(itemReq, itemRes));
+  } catch (err) {
+    logger.error('[Batch] Item failed', { err });
+  }
+  // Nothing sent (a bug) must not hang the batch; a destroyed response is reported as aborted
+  if (!itemRes.writableEnded && !itemRes.destroyed) itemRes.status(500).end();
+
+  return itemRes;
+}
+
+// Manifest entry for one item; bodies up to `maxInlineBytes` are inlined when asked for
+function describeItem(url, res, link, inline, maxInlineBytes) {
+  if (!res.writableEnded) return { url, status: 502, error: 'Transfer aborted' };
+
+  const item = { url, status: res.statusCode };
+  const type = String(res.getHeader('content-type') || '');
+
+  if (res.statusCode !== 200) {
+    const text = res.body.toString('utf8');
+    if (res.getHeader('location')) {
+      item.error = 'Not processed; fetch the original';
+      item.location = res.getHeader('location');
+    } else if (type.startsWith('application/json')) {
+      try {
+        item.error = JSON.parse(text).error;
+      } catch {
+        item.error = text.slice(0, 200);
+      }
+    } else {
+      item.error = text.slice(0, 200) || 'Failed';
+    }
+    return item;
+  }
+
+  const size = res.size;
+  const originalSize = Number(res.getHeader('x-original-size')) || size;
+  Object.assign(item, {
+    type,
+    originalSize,
+    size,
+    saved: Math.max(originalSize - size, 0),
+    cache: res.getHeader('x-proxy-cache')
+  });
+
+  if (inline && size <= maxInlineBytes) item.data = res.body.toString('base64');
+  else item.link = link;
+  return item;
+}
+
+/**
+ * Express handler for POST /batch (expects a parsed JSON body).
+ */
+export default async function batch(req, res) {
+  const settings = req.context.config.batch;
+  const parsed = parseBatch(req.body, settings.maxItems);
+  if (typeof parsed === 'string') return badRequest(res, parsed);
+
+  const { urls, query, inline } = parsed;
+  const items = await mapLimit(urls, settings.concurrency, async (url, index) => {
+    // The client gave up: skip the rest
+    if (res.destroyed) return null;
+
+    if (index > 0 && req.rateLimitTake) {
+      const limited = await req.rateLimitTake();
+      if (limited && !limited.allowed) {
+        return { url, status: 429, error: 'Too many requests.', retryAfter: Math.max(limited.resetSeconds, 1) };
+      }
+    }
+
+    const itemQuery = { ...query, url };
+    const itemRes = await runItem(req, itemQuery);
+    const link = `${req.baseUrl}/?${new URLSearchParams(itemQuery)}`;
+    return describeItem(url, itemRes, link, inline, settings.maxInlineBytes);
+  });
+
+  if (res.destroyed) return;
+
+  const done = items.filter(item => item.status === 200);
+  const totals = {
+    items: items.length,
+    processed: done.length,
+    originalSize: done.reduce((sum, item) => sum + item.originalSize, 0),
+    size: done.reduce((sum, item) => sum + item.size, 0)
+  };
+  totals.saved = Math.max(totals.originalSize - totals.size, 0);
+
+  res.setHeader('Cache-Control', 'no-store');
+  res.status(200).json({ items, totals });
+}
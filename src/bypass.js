@@ -1,9 +1,10 @@
 import { URL } from 'url';
 import sanitizeFilename from 'sanitize-filename';
+import { recordTransfer, recordOutcome } from './metrics.js';
+import logger from './logger.js';
 
-// --- Constants ---
-const MAX_BUFFER_SIZE = parseInt(process.env.MAX_BUFFER_SIZE, 10) || 25 * 1024 * 1024; // 25 MB matches proxy limit
-const DEFAULT_FILENAME = process.env.DEFAULT_FILENAME || 'file.bin';
+// SVG is a document: whatever it contains must not run or load anything from our origin
+export const SVG_CONTENT_SECURITY_POLICY = "default-src 'none'; style-src 'unsafe-inline'; img-src data:; sandbox";
 
 /**
  * Extract a safe filename from the URL or fall back to default.
@@ -25,6 +26,15 @@ function extractFilename(urlString, defaultFilename) {
   }
 }
 
+/**
+ * Download name for a response: the upload's filename, else the origin URL's last path segment.
+ */
+export function originFilename(params, defaultFilename) {
+  return params?.filename
+    ? sanitizeFilename(params.filename) || defaultFilename
+    : extractFilename(params?.url || '', defaultFilename);
+}
+
 /**
  * Determine if content should be viewed inline (browser) or downloaded.
  */
@@ -37,59 +47,131 @@ function getDisposition(contentType) {
   return 'attachment';
 }
 
+/**
+ * Sets the pass-through response headers.
+ * Content-Length is only set when known (buffered bodies); streamed bodies go chunked.
+ */
+function setBypassHeaders(req, res, length) {
+  const { config } = req.context;
+
+  // 1. Metadata Preparation
+  const contentType = req.params?.originType || 'application/octet-stream';
+  const filename = originFilename(req.params, config.upstream.defaultFilename);
+  const dispositionType = getDisposition(contentType);
+
+  // 2. Set Headers
+  // Security: Stop browser from MIME-sniffing the content
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+  res.setHeader('X-Frame-Options', 'DENY');
+
+  // Metadata
+  res.setHeader('Content-Type', contentType);
+  if (length !== undefined) res.setHeader('Content-Length', length);
+  res.setHeader('Content-Disposition', `${dispositionType}; filename="${filename}"`);
+  res.setHeader('X-Proxy-Bypass', '1');
+  if (/^image\/svg\+xml/i.test(contentType)) res.setHeader('Content-Security-Policy', SVG_CONTENT_SECURITY_POLICY);
+
+  // Validators: replace the origin's ETag with ours (it covers the request params too)
+  if (req.params?.etag) res.setHeader('ETag', req.params.etag);
+
+  // Cache Control (Optional: Set defaults if upstream didn't provide them via params)
+  // Assuming the main proxy function handles Cache-Control copying, we leave this alone 
+  // or set a default private cache.
+  if (!res.getHeader('Cache-Control')) {
+      res.setHeader('Cache-Control', `public, max-age=${config.compress.cacheMaxAgeSeconds}, immutable`);
+  }
+}
+
 /**
  * Main Bypass Function
  * Sends the buffered content directly to the client.
+ * Returns the sent buffer, or undefined when nothing was sent.
  */
 export default function bypass(req, res, buffer) {
   // 1. Validation
   if (!res || res.headersSent) return;
   
   if (!Buffer.isBuffer(buffer)) {
-    console.error('❌ Bypass Error: Content is not a buffer');
+    logger.error('[Bypass] Content is not a buffer');
+    recordOutcome('error');
     return res.status(500).json({ error: 'Internal Server Error: Invalid content' });
   }
 
   // Double check size to prevent sending massive blobs that might choke the connection
-  if (buffer.length > MAX_BUFFER_SIZE) {
-    console.warn(`⚠️ Bypass Error: Buffer exceeds limit (${buffer.length} bytes)`);
+  // (same limit the proxy enforces)
+  if (buffer.length > req.context.config.upstream.maxBodyBytes) {
+    logger.warn('[Bypass] Buffer exceeds limit', { bytes: buffer.length });
+    recordOutcome('error');
     return res.status(413).json({ error: 'Content too large' });
   }
 
   try {
-    // 2. Metadata Preparation
-    const originUrl = req.params?.url || '';
-    const contentType = req.params?.originType || 'application/octet-stream';
-    const filename = extractFilename(originUrl, DEFAULT_FILENAME);
-    const dispositionType = getDisposition(contentType);
-
-    // 3. Set Headers
-    // Security: Stop browser from MIME-sniffing the content
-    res.setHeader('X-Content-Type-Options', 'nosniff');
-    res.setHeader('X-Frame-Options', 'DENY');
-    
-    // Metadata
-    res.setHeader('Content-Type', contentType);
-    res.setHeader('Content-Length', buffer.length);
-    res.setHeader('Content-Disposition', `${dispositionType}; filename="${filename}"`);
-    res.setHeader('X-Proxy-Bypass', '1');
-
-    // Cache Control (Optional: Set defaults if upstream didn't provide them via params)
-    // Assuming the main proxy function handles Cache-Control copying, we leave this alone 
-    // or set a default private cache.
-    if (!res.getHeader('Cache-Control')) {
-        res.setHeader('Cache-Control', 'public, max-age=31536000, immutable');
-    }
+    // 2. Headers
+    setBypassHeaders(req, res, buffer.length);
 
-    // 4. Send Data
+    // 3. Send Data
     // res.end(buffer) is the most efficient way to send a buffer in Node.
     // Streaming (PassThrough) is unnecessary overhead when data is already fully in RAM.
     res.end(buffer);
+    recordOutcome('bypassed');
+    recordTransfer(buffer.length, buffer.length);
+    return buffer;
 
   } catch (error) {
-    console.error(`❌ Bypass Failed: ${error.message}`);
+    logger.error('[Bypass] Send failed', { err: error });
+    recordOutcome('error');
     if (!res.headersSent) {
       res.status(500).json({ error: 'Failed to send content' });
     }
   }
 }
+
+/**
+ * Streaming Bypass
+ * Pipes an upstream body to the client without buffering it, cutting the
+ * connection if it grows past `maxBytes` (MAX_BUFFER_SIZE by default). Resolves with the bytes
+ * sent, also when the source is destroyed before it ends (e.g. because the client went away).
+ */
+export function bypassStream(req, res, source, maxBytes = req.context.config.upstream.maxBodyBytes) {
+  return new Promise((resolve) => {
+    if (!res || res.headersSent) {
+      source.destroy?.();
+      return resolve(0);
+    }
+
+    setBypassHeaders(req, res);
+
+    let sent = 0;
+    let ended = false;
+    let aborted = false;
+    const abort = (message) => {
+      if (aborted) return;
+      aborted = true;
+      logger.warn('[Bypass] Stream aborted', { reason: message });
+      recordOutcome('error');
+      source.destroy?.();
+      // Headers are already out; a truncated body must not look complete
+      res.destroy();
+      resolve(sent);
+    };
+
+    source.on('data', (chunk) => {
+      sent += chunk.length;
+      if (sent > maxBytes) abort(`exceeds limit (${sent} bytes)`);
+    });
+    source.once('error', (err) => abort(err.message));
+    // Destroyed without an error: neither 'end' nor 'error' follows
+    source.once('close', () => {
+      if (!ended) abort('closed before end');
+    });
+    source.once('end', () => {
+      ended = true;
+      if (aborted) return;
+      recordOutcome('bypassed');
+      recordTransfer(sent, sent);
+      resolve(sent);
+    });
+
+    source.pipe(res);
+  });
+}
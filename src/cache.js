@@ -0,0 +1,335 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import defaultConfig from './config.js';
+import logger from './logger.js';
+
+// A single entry may not take more than this share of a tier
+const MAX_ENTRY_FRACTION = 8;
+
+// Params that change the bytes we send back. Anything else must not split the cache.
+const KEY_PARAMS = ['format', 'quality', 'grayscale', 'width', 'height', 'dpr', 'fit', 'maxBytes', 'ratio', 'candidates'];
+
+// Host rule settings that change the response without showing in the params above
+const KEY_RULE_FIELDS = ['action', 'minCompressLength'];
+
+// Configuration sections that shape the output (limits, thresholds, encoder and SVG settings)
+const KEY_CONFIG_SECTIONS = ['params', 'compress', 'animation', 'svg'];
+
+// Response headers that are per-request and must not be replayed from cache
+const UNCACHED_HEADERS = new Set([
+  'date',
+  'connection',
+  'keep-alive',
+  'transfer-encoding',
+  'set-cookie',
+  'x-proxy-cache',
+  'x-request-id',
+  'ratelimit-limit',
+  'ratelimit-remaining',
+  'ratelimit-reset'
+]);
+
+function hash(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * Builds a cache key from the normalized URL, all output-affecting params and the host rule.
+ * `variant` stands for the configuration the output was made under (see createCache).
+ */
+export function cacheKey(params, variant = '') {
+  const parts = [params?.url || '', variant];
+  for (const name of KEY_PARAMS) parts.push(`${name}=${params?.[name] ?? ''}`);
+  for (const name of KEY_RULE_FIELDS) parts.push(`rule.${name}=${params?.hostRule?.[name] ?? ''}`);
+  return hash(parts.join('\n'));
+}
+
+/**
+ * Decides whether a finished response may be stored.
+ * Only successful image responses the origin did not mark private/no-store.
+ */
+export function isCacheable(res) {
+  if (res.statusCode !== 200) return false;
+  const contentType = String(res.getHeader('content-type') || '');
+  if (!contentType.startsWith('image/')) return false;
+  const cacheControl = String(res.getHeader('cache-control') || '').toLowerCase();
+  return !/(no-store|private)/.test(cacheControl);
+}
+
+/**
+ * How long a response may be reused going by the origin's Cache-Control, capped at `ttlMs`:
+ * null when it must not be stored (no-store, private), 0 when it must be revalidated first (no-cache).
+ */
+function freshnessLifetime(cacheControl, ttlMs) {
+  const directives = new Map();
+  for (const part of String(cacheControl || '').toLowerCase().split(',')) {
+    const [name, value] = part.trim().split('=');
+    if (name) directives.set(name, value?.replace(/"/g, ''));
+  }
+
+  if (directives.has('no-store') || directives.has('private')) return null;
+  if (directives.has('no-cache')) return 0;
+
+  // A shared cache goes by s-maxage first
+  const maxAge = parseInt(directives.get('s-maxage') ?? directives.get('max-age'), 10);
+  return Number.isNaN(maxAge) ? ttlMs : Math.min(Math.max(maxAge, 0) * 1000, ttlMs);
+}
+
+// Expired entries are kept while they carry origin validators, so they can be revalidated
+function isDead(entry) {
+  return entry.expires <= Date.now() && !entry.validators?.etag && !entry.validators?.lastModified;
+}
+
+/**
+ * Whether an entry can be served without revalidating against the origin.
+ */
+export function isFresh(entry) {
+  return entry.expires > Date.now();
+}
+
+/**
+ * Builds a two-tier result cache from `config` (CACHE_MAX_BYTES in memory, CACHE_DIR on disk):
+ *
+ *   key(params)                     the cache key of a request (cacheKey under this configuration)
+ *   get(key)                        entry from memory, then disk (promoting disk hits), or null;
+ *                                   may be stale (see isFresh)
+ *   set(key, entry)                 stores an entry; failures never affect the response
+ *   refresh(key, entry, cacheControl)
+ *                                   extends a stale entry's lifetime after the origin confirmed it (304)
+ *   snapshot(res, body, validators, cacheControl)
+ *                                   the response that was just sent as an entry, or null when
+ *                                   it may not be replayed to other clients
+ *
+ * Entries live for CACHE_TTL_MS at most, less when the origin's Cache-Control (`cacheControl`)
+ * says so; no-store and private responses are not kept.
+ */
+export function createCache({ config = defaultConfig } = {}) {
+  const { maxBytes: MEMORY_MAX_BYTES, dir: DISK_DIR, diskMaxBytes: DISK_MAX_BYTES, ttlMs: TTL_MS } = config.cache;
+
+  // A disk cache may outlive a configuration change or be shared with a differently configured router
+  const variant = hash(JSON.stringify(KEY_CONFIG_SECTIONS.map(section => config[section])));
+
+  // --- Memory tier (LRU by insertion order of a Map) ---
+  const memory = new Map();
+  let memoryBytes = 0;
+
+  function memoryDelete(key) {
+    const entry = memory.get(key);
+    if (!entry) return;
+    memory.delete(key);
+    memoryBytes -= entry.body.length;
+  }
+
+  function memoryGet(key) {
+    const entry = memory.get(key);
+    if (!entry) return null;
+    if (isDead(entry)) {
+      memoryDelete(key);
+      return null;
+    }
+    // Refresh recency
+    memory.delete(key);
+    memory.set(key, entry);
+    return entry;
+  }
+
+  function memorySet(key, entry) {
+    if (!MEMORY_MAX_BYTES || entry.body.length > MEMORY_MAX_BYTES / MAX_ENTRY_FRACTION) return;
+    memoryDelete(key);
+    memory.set(key, entry);
+    memoryBytes += entry.body.length;
+
+    for (const oldest of memory.keys()) {
+      if (memoryBytes <= MEMORY_MAX_BYTES) break;
+      memoryDelete(oldest);
+    }
+  }
+
+  // --- Disk tier (one file per entry: 4-byte meta length + JSON meta + body) ---
+  // Index of key -> size kept in LRU order; rebuilt lazily from the directory on first use.
+  const diskIndex = new Map();
+  let diskBytes = 0;
+  let diskReady = null;
+
+  function diskPath(key) {
+    return path.join(DISK_DIR, key.slice(0, 2), key);
+  }
+
+  async function diskInit() {
+    if (!diskReady) {
+      diskReady = (async () => {
+        await fs.mkdir(DISK_DIR, { recursive: true });
+        const shards = await fs.readdir(DISK_DIR).catch(() => []);
+        for (const shard of shards) {
+          const files = await fs.readdir(path.join(DISK_DIR, shard)).catch(() => []);
+          for (const file of files) {
+            if (file.endsWith('.tmp')) continue;
+            const stat = await fs.stat(path.join(DISK_DIR, shard, file)).catch(() => null);
+            if (!stat?.isFile()) continue;
+            diskIndex.set(file, stat.size);
+            diskBytes += stat.size;
+          }
+        }
+      })().catch((err) => {
+        logger.warn('[Cache] Disk cache disabled', { err });
+      });
+    }
+    return diskReady;
+  }
+
+  async function diskDelete(key) {
+    const size = diskIndex.get(key);
+    if (size === undefined) return;
+    diskIndex.delete(key);
+    diskBytes -= size;
+    await fs.unlink(diskPath(key)).catch(() => {});
+  }
+
+  async function diskGet(key) {
+    if (!DISK_DIR || !DISK_MAX_BYTES) return null;
+    await diskInit();
+    if (!diskIndex.has(key)) return null;
+
+    try {
+      const file = await fs.readFile(diskPath(key));
+      const metaLength = file.readUInt32BE(0);
+      const meta = JSON.parse(file.subarray(4, 4 + metaLength).toString('utf8'));
+
+      if (isDead(meta)) {
+        await diskDelete(key);
+        return null;
+      }
+
+      const size = diskIndex.get(key);
+      diskIndex.delete(key);
+      diskIndex.set(key, size);
+
+      return { ...meta, body: file.subarray(4 + metaLength) };
+    } catch {
+      await diskDelete(key);
+      return null;
+    }
+  }
+
+  async function diskSet(key, entry) {
+    if (!DISK_DIR || !DISK_MAX_BYTES) return;
+    await diskInit();
+
+    const meta = Buffer.from(JSON.stringify({
+      headers: entry.headers,
+      validators: entry.validators,
+      expires: entry.expires
+    }));
+    const prefix = Buffer.alloc(4);
+    prefix.writeUInt32BE(meta.length, 0);
+    const file = Buffer.concat([prefix, meta, entry.body]);
+    if (file.length > DISK_MAX_BYTES / MAX_ENTRY_FRACTION) return;
+
+    const target = diskPath(key);
+    // Unique per write: concurrent writes of one key (or processes sharing the directory) must not interleave
+    const tmp = `${target}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    try {
+      await fs.writeFile(tmp, file);
+      await fs.rename(tmp, target);
+    } catch (err) {
+      await fs.unlink(tmp).catch(() => {});
+      throw err;
+    }
+
+    const previous = diskIndex.get(key);
+    if (previous !== undefined) {
+      diskIndex.delete(key);
+      diskBytes -= previous;
+    }
+    diskIndex.set(key, file.length);
+    diskBytes += file.length;
+
+    for (const oldest of diskIndex.keys()) {
+      if (diskBytes <= DISK_MAX_BYTES) break;
+      await diskDelete(oldest);
+    }
+  }
+
+  async function removeEntry(key) {
+    memoryDelete(key);
+    try {
+      await diskDelete(key);
+    } catch (err) {
+      logger.warn('[Cache] Delete failed', { err });
+    }
+  }
+
+  async function storeEntry(key, entry) {
+    memorySet(key, entry);
+
+    try {
+      await diskSet(key, entry);
+    } catch (err) {
+      logger.warn('[Cache] Write failed', { err });
+    }
+  }
+
+  return {
+    key(params) {
+      return cacheKey(params, variant);
+    },
+
+    async get(key) {
+      const hot = memoryGet(key);
+      if (hot) return hot;
+
+      try {
+        const cold = await diskGet(key);
+        if (cold) memorySet(key, cold);
+        return cold;
+      } catch (err) {
+        logger.warn('[Cache] Read failed', { err });
+        return null;
+      }
+    },
+
+    async set(key, entry) {
+      if (!entry) return;
+      if (!MEMORY_MAX_BYTES && !DISK_DIR) return;
+      await storeEntry(key, entry);
+    },
+
+    async refresh(key, entry, cacheControl) {
+      const lifetime = freshnessLifetime(cacheControl, TTL_MS);
+      const refreshed = { ...entry, expires: Date.now() + (lifetime ?? 0) };
+      if (lifetime === null) await removeEntry(key);
+      else await storeEntry(key, refreshed);
+      return refreshed;
+    },
+
+    snapshot(res, body, validators = null, cacheControl = null) {
+      if (!Buffer.isBuffer(body) || !isCacheable(res)) return null;
+
+      const lifetime = freshnessLifetime(cacheControl, TTL_MS);
+      if (lifetime === null) return null;
+
+      const headers = {};
+      for (const [name, value] of Object.entries(res.getHeaders())) {
+        if (!UNCACHED_HEADERS.has(name)) headers[name] = value;
+      }
+
+      const entry = { headers, body, validators, expires: Date.now() + lifetime };
+      return isDead(entry) ? null : entry;
+    }
+  };
+}
+
+/**
+ * Replays a cached entry onto the response. `source` is reported in x-proxy-cache.
+ */
+export function sendCached(res, entry, source = 'HIT') {
+  for (const [name, value] of Object.entries(entry.headers)) {
+    // Also filtered here for disk entries written before a header joined the list
+    if (!UNCACHED_HEADERS.has(name)) res.setHeader(name, value);
+  }
+  res.setHeader('x-proxy-cache', source);
+  res.statusCode = 200;
+  res.end(entry.body);
+}
@@ -0,0 +1,50 @@
+/**
+ * Per-key circuit breaker (keyed by origin host in the proxy).
+ *
+ * After `threshold` consecutive failures the circuit opens and allow() refuses the key for
+ * `cooldownMs`. Then a single trial request is let through (half-open): success closes the
+ * circuit, failure opens it for another cooldown. A threshold of 0 disables the breaker.
+ * At most `maxKeys` keys are tracked; the least recently failing are forgotten first.
+ */
+export function createCircuitBreaker({ threshold = 5, cooldownMs = 30_000, maxKeys = 10_000 } = {}) {
+  // key -> { failures, openUntil, probing }; only keys with recent failures are kept
+  const circuits = new Map();
+
+  return {
+    /**
+     * False while the circuit for `key` is open (or its half-open trial is in progress).
+     */
+    allow(key) {
+      const circuit = circuits.get(key);
+      if (!threshold || !circuit || circuit.failures < threshold) return true;
+      if (Date.now() < circuit.openUntil || circuit.probing) return false;
+      circuit.probing = true;
+      return true;
+    },
+
+    success(key) {
+      circuits.delete(key);
+    },
+
+    failure(key) {
+      if (!threshold) return;
+      const circuit = circuits.get(key) || { failures: 0, openUntil: 0, probing: false };
+      circuit.failures += 1;
+      circuit.probing = false;
+      if (circuit.failures >= threshold) circuit.openUntil = Date.now() + cooldownMs;
+
+      // Re-insert so Map order tracks recency
+      circuits.delete(key);
+      circuits.set(key, circuit);
+      if (circuits.size > maxKeys) circuits.delete(circuits.keys().next().value);
+    },
+
+    /**
+     * Releases a half-open trial that ended without a verdict (e.g. the client went away).
+     */
+    release(key) {
+      const circuit = circuits.get(key);
+      if (circuit) circuit.probing = false;
+    }
+  };
+}
@@ -0,0 +1,119 @@
+/**
+ * Client Hints policy: derives quality, greyscale and size from what the browser
+ * tells us about the network and display, for settings the client did not pin.
+ */
+
+// --- Constants ---
+// Advertised so browsers start sending the opt-in hints (Save-Data is always sent)
+export const ACCEPT_CH = [
+  'Save-Data',
+  'ECT',
+  'Downlink',
+  'DPR',
+  'Viewport-Width',
+  'Width',
+  'Sec-CH-DPR',
+  'Sec-CH-Viewport-Width',
+  'Sec-CH-Width'
+].join(', ');
+
+const MAX_DPR = 4;
+
+// Request headers each input of the policy is read from, for Vary
+const NETWORK_HEADERS = ['Save-Data', 'ECT', 'Downlink'];
+const DPR_HEADERS = ['DPR', 'Sec-CH-DPR'];
+const SIZE_HEADERS = ['Width', 'Sec-CH-Width', 'Viewport-Width', 'Sec-CH-Viewport-Width'];
+
+// Per connection tier: output quality and greyscale
+const TIERS = {
+  slow: { quality: 20, grayscale: true },
+  medium: { quality: 35, grayscale: true },
+  fast: { quality: 60, grayscale: false }
+};
+
+function readNumber(req, ...names) {
+  for (const name of names) {
+    const n = parseFloat(req.headers[name]);
+    if (Number.isFinite(n) && n > 0) return { value: n, header: name };
+  }
+  return null;
+}
+
+/**
+ * Reads the hint headers. Each numeric hint keeps the header name it came from.
+ */
+export function readHints(req) {
+  const saveData = String(req.headers['save-data'] || '').trim().toLowerCase() === 'on';
+  const ect = String(req.headers.ect || '').trim().toLowerCase() || null;
+
+  return {
+    saveData,
+    ect,
+    downlink: readNumber(req, 'downlink'),
+    dpr: readNumber(req, 'sec-ch-dpr', 'dpr'),
+    viewportWidth: readNumber(req, 'sec-ch-viewport-width', 'viewport-width'),
+    width: readNumber(req, 'sec-ch-width', 'width')
+  };
+}
+
+/**
+ * Classifies the connection as slow/medium/fast, or null when nothing is known.
+ */
+function connectionTier(hints) {
+  if (hints.saveData) return 'slow';
+
+  const downlink = hints.downlink?.value;
+  if (hints.ect === 'slow-2g' || hints.ect === '2g' || (downlink !== undefined && downlink < 0.5)) return 'slow';
+  if (hints.ect === '3g' || (downlink !== undefined && downlink < 5)) return 'medium';
+  if (hints.ect === '4g' || downlink !== undefined) return 'fast';
+  return null;
+}
+
+/**
+ * Applies the policy to already-parsed params.
+ * `explicit` flags which settings the client (or a host rule / user default) pinned; those are left alone.
+ * Tier qualities are kept within `qualityRange` (MIN_QUALITY/MAX_QUALITY), like a requested one.
+ * Returns the updated params and the request headers the response must Vary on: every hint that
+ * could have changed the output for these settings, whether or not this request sent it, so a
+ * cache does not hand a hint-less response to a client that sends hints (or the reverse).
+ */
+export function applyClientHints(params, hints, explicit, qualityRange = { min: 1, max: 100 }) {
+  const next = { ...params };
+  const vary = new Set();
+
+  // --- Network: quality and greyscale ---
+  if (!explicit.quality || !explicit.grayscale) {
+    NETWORK_HEADERS.forEach(header => vary.add(header));
+
+    const tier = connectionTier(hints);
+    if (tier) {
+      if (!explicit.quality) next.quality = Math.min(Math.max(TIERS[tier].quality, qualityRange.min), qualityRange.max);
+      if (!explicit.grayscale) next.grayscale = TIERS[tier].grayscale;
+    }
+  }
+
+  // --- Display: DPR and size ---
+  const slow = hints.saveData || hints.ect === 'slow-2g' || hints.ect === '2g';
+
+  if (!explicit.dpr) {
+    // Density is a luxury on slow links
+    ['Save-Data', 'ECT', ...DPR_HEADERS].forEach(header => vary.add(header));
+    if (hints.dpr) next.dpr = slow ? 1 : Math.min(Math.max(Math.round(hints.dpr.value * 4) / 4, 1), MAX_DPR);
+  }
+
+  if (!explicit.size) {
+    [...SIZE_HEADERS, ...DPR_HEADERS].forEach(header => vary.add(header));
+    const dpr = hints.dpr?.value || 1;
+    if (hints.width) {
+      // Width is the intrinsic size the page will display, in device pixels
+      next.width = Math.ceil(hints.width.value / dpr);
+      next.fit = 'inside';
+    } else if (hints.viewportWidth) {
+      // No image is usefully wider than the viewport
+      next.width = Math.ceil(hints.viewportWidth.value);
+      next.fit = 'inside';
+    }
+  }
+
+  return { params: next, vary: [...vary] };
+}
@@ -1,118 +1,153 @@
-import sharp from 'sharp';
 import redirect from './redirect.js';
+import bypass from './bypass.js';
 import { URL } from 'url';
 import sanitizeFilename from 'sanitize-filename';
-
-//Optimize Sharp Configuration
-sharp.cache({ memory: 50, files: 0 });
-sharp.concurrency(1);
-sharp.simd(true);
-
-const MAX_DIMENSION = 16384;
-const LARGE_IMAGE_THRESHOLD = 4_000_000;
-const MEDIUM_IMAGE_THRESHOLD = 1_000_000;
-const MAX_PIXEL_LIMIT = 100_000_000; // safety for serverless memory
-const PROCESSING_TIMEOUT_MS = 60_000; // 60s max per image
+import { tooManyRequests } from './rateLimit.js';
+import { acceptedFormats, isAcceptedType } from './negotiate.js';
+import { encodeSeconds, overloads, recordConversion, recordTransfer, recordOutcome, skips } from './metrics.js';
+import logger, { annotate, redactUrl } from './logger.js';
+
+// Overload: past the queue fill level ENCODE_DEGRADE_AT, expensive formats are swapped for a cheap one
+const EXPENSIVE_FORMATS = new Set(['avif', 'jxl']);
+const CHEAP_FORMATS = new Set(['webp', 'jpeg']);
+const DEGRADED_MAX_AGE = 60; // degraded output is only briefly cacheable downstream
+
+const POOL_ERRORS = {
+  ERR_QUEUE_FULL: 'rejected',
+  ERR_QUEUE_TIMEOUT: 'rejected',
+  ERR_ENCODE_TIMEOUT: 'timeout'
+};
 
 export default async function compress(req, res, input) {
-  try {
-    // --- Input validation ---
-  // Add timeout to entire processing
-    const timeout = setTimeout(() => {
-      if (processed) processed.destroy?.(); // sharp 0.33+ has destroy()
-      fail('Image processing timeout', req, res);
-    }, PROCESSING_TIMEOUT_MS);
-    
-    if (!Buffer.isBuffer(input) && typeof input !== 'string') {
-      return fail('Invalid input: must be Buffer or file path', req, res);
-    }
-
-    const { format, compressionQuality, grayscale } = getCompressionParams(req);
-    const sharpInstance = sharp(input, {
-      animated: true,
-      limitInputPixels: MAX_PIXEL_LIMIT // prevent decompression bombs
-    });
-
-    const metadata = await sharpInstance.metadata();
+  // --- Input validation ---
+  if (!Buffer.isBuffer(input) && typeof input !== 'string') {
+    return fail('Invalid input: must be Buffer or file path', req, res);
+  }
 
-    if (!metadata?.width || !metadata?.height) {
-      return fail('Invalid or missing metadata', req, res);
-    }
+  const { config, encodePool } = req.context;
+  const { format, compressionQuality, grayscale } = getCompressionParams(req);
+  const targetBytes = getTargetBytes(req.params);
+
+  const job = {
+    format,
+    quality: compressionQuality,
+    grayscale,
+    width: req.params.width,
+    height: req.params.height,
+    dpr: req.params.dpr,
+    fit: req.params.fit,
+    candidates: req.params.candidates,
+    targetBytes,
+    originSize: req.params.originSize,
+    maxDimension: req.params.maxDimension
+  };
 
-    const { width, height } = metadata;
-    const isAnimated = (metadata.pages || 1) > 1;
-    const pixelCount = width * height;
+  // Under pressure, answer quickly with a cheaper encode rather than queue behind slow ones
+  const degraded = encodePool.load() >= config.pool.degradeAt && hasExpensiveWork(job);
+  if (degraded) {
+    job.format = cheapFormat(req);
+    job.candidates = null;
+    overloads.inc({ action: 'degraded' });
+  }
 
-    // --- Safety guard for extremely large files ---
-    if (pixelCount > MAX_PIXEL_LIMIT) {
-      return fail('Image too large for processing', req, res);
-    }
+  // The original only stands in for an output that did not pay off if the client can display it
+  job.keepOutput = !isAcceptedType(
+    req.params.originType,
+    job.format,
+    req.params.negotiated ? req.headers.accept : null
+  );
+
+  // Per-client cap on concurrent compressions (see rateLimit.js), held while queued and encoding.
+  // The origin's headers are already on the response: redirect() clears them, and uploads have none
+  const releaseSlot = req.compressionSlot ? await req.compressionSlot() : () => {};
+  if (!releaseSlot) {
+    annotate({ limited: 'concurrency' });
+    if (!req.params.upload) return redirect(req, res);
+    return tooManyRequests(res, 1, 'Too many concurrent compressions.');
+  }
 
-    const outputFormat = isAnimated ? 'webp' : format;
-    const avifParams = outputFormat === 'avif'
-      ? optimizeAvifParams(width, height)
-      : {};
+  try {
+    const result = await encodePool.run(input, job);
 
-    // --- Processing chain (built dynamically) ---
-    let processed = sharpInstance.clone();
+    // The client may have gone away while the encode was queued
+    if (res.headersSent || res.destroyed) return;
 
-    if (grayscale) processed = processed.grayscale();
+    encodeSeconds.observe({ format: result.format }, result.seconds);
+    annotate({ format: result.format, quality: result.quality, encodeMs: Math.round(result.seconds * 1000) });
+    if (result.animation) res.setHeader('x-animation', result.animation);
 
-    if (width > MAX_DIMENSION || height > MAX_DIMENSION) {
-      processed = processed.resize({
-        width: Math.min(width, MAX_DIMENSION),
-        height: Math.min(height, MAX_DIMENSION),
-        fit: 'inside',
-        withoutEnlargement: true
-      });
+    // Re-encoding did not pay off: send the original instead
+    if (!result.data) {
+      skips.inc({ reason: 'no-savings' });
+      annotate({ skip: 'no-savings' });
+      res.removeHeader('x-animation');
+      return Buffer.isBuffer(input) ? bypass(req, res, input) : fail('No smaller output', req, res);
     }
 
-    // --- Compression and output ---
-    const formatOptions = getFormatOptions(outputFormat, compressionQuality, avifParams, isAnimated);
-
-    // If file >2MB, stream to response (saves RAM)
-    if (Buffer.isBuffer(input) && input.length > 2_000_000) {
-      res.setHeader('Content-Type', `image/${outputFormat}`);
-      res.setHeader('Content-Disposition', 'inline');
-      res.setHeader('X-Content-Type-Options', 'nosniff');
-      res.setHeader('Cache-Control', 'public, max-age=31536000');
+    recordConversion(req.params.originType, result.format);
 
-      const stream = processed.toFormat(outputFormat, formatOptions);
+    res.setHeader('x-quality', result.quality);
+    if (targetBytes) res.setHeader('x-target-bytes', targetBytes);
 
-      // Proper cleanup on client disconnect
-      req.socket.on('close', () => {
-        stream.destroy?.();
-      });
+    const originSize = req.params.originSize || result.data.length;
+    // Uploads keep the handler's private caching
+    const upload = req.params.upload;
 
-      stream
-        .pipe(res)
-        .on('error', (err) => {
-          if (!res.headersSent) fail('Streaming failed', req, res, err);
-        });
-
-      clearTimeout(timeout);
+    // Degraded output must not stand in for the real thing in caches or revalidations
+    if (degraded) {
+      res.setHeader('x-degraded', 'overload');
+      sendImage(res, result.data, result.format, outputName(req.params), originSize, result.data.length, null, upload ? null : DEGRADED_MAX_AGE);
       return;
     }
 
-    const { data, info } = await processed
-      .toFormat(outputFormat, formatOptions)
-      .toBuffer({ resolveWithObject: true });
-
-    clearTimeout(timeout);
-    
-    sendImage(res, data, outputFormat, req.params.url || '', req.params.originSize || 0, info.size);
+    sendImage(res, result.data, result.format, outputName(req.params), originSize, result.data.length, req.params.etag, upload ? null : config.compress.cacheMaxAgeSeconds);
+    return result.data;
 
   } catch (err) {
-    clearTimeout(timeout);
-    if (sharpInstance) sharpInstance.destroy?.();
-    if (processed) processed.destroy?.();
-    fail('Error during image compression', req, res, err);
+    const action = POOL_ERRORS[err.code];
+    if (action) {
+      // Overloaded or stuck: the client fetches the original itself
+      overloads.inc({ action });
+      return fail(err.message, req, res, null, 503);
+    }
+    // Encoder errors are down to the input (undecodable, over the pixel limit)
+    fail('Error during image compression', req, res, err, 422);
+  } finally {
+    releaseSlot();
   }
 }
 
+/**
+ * Whether the job would use an expensive encoder (AVIF/JPEG XL), directly or as a candidate.
+ */
+function hasExpensiveWork(job) {
+  return EXPENSIVE_FORMATS.has(job.format) || Boolean(job.candidates?.some(f => EXPENSIVE_FORMATS.has(f)));
+}
+
+/**
+ * Cheap format to degrade to. Negotiated requests pick from what the client accepts
+ * (the response already varies on Accept); an explicit fmt falls back to JPEG.
+ */
+function cheapFormat(req) {
+  if (!req.params.negotiated) return 'jpeg';
+  return acceptedFormats(req.headers.accept).find(f => CHEAP_FORMATS.has(f));
+}
+
+/**
+ * Byte budget from maxBytes and/or ratio (of the original size); the smaller wins.
+ */
+function getTargetBytes(params) {
+  const limits = [];
+  if (params?.maxBytes) limits.push(params.maxBytes);
+  if (params?.ratio && params?.originSize) limits.push(Math.floor(params.originSize * params.ratio));
+  return limits.length ? Math.max(Math.min(...limits), 1) : null;
+}
+
 function getCompressionParams(req) {
-  const format = req.params?.webp ? 'avif' : 'jpeg';
-  const compressionQuality = clamp(parseInt(req.params?.quality, 10) || 75, 10, 100);
+  const format = req.params?.format || 'jpeg';
+  // The range is policed where quality is set (MIN_QUALITY/MAX_QUALITY, rules, user defaults);
+  // this only keeps the encoder within 1-100
+  const compressionQuality = clamp(parseInt(req.params?.quality, 10) || 75, 1, 100);
   const grayscale = req.params?.grayscale === 'true' || req.params?.grayscale === true;
   return { format, compressionQuality, grayscale };
 }
@@ -121,50 +156,43 @@ function clamp(v, min, max) {
   return Math.min(Math.max(v, min), max);
 }
 
-function optimizeAvifParams(width, height) {
-  const area = width * height;
-  if (area > LARGE_IMAGE_THRESHOLD)
-    return { tileRows: 1, tileCols: 1, minQuantizer: 20, maxQuantizer: 40, effort: 3 };
-  if (area > MEDIUM_IMAGE_THRESHOLD)
-    return { tileRows: 1, tileCols: 1, minQuantizer: 28, maxQuantizer: 48, effort: 3 };
-  return { tileRows: 1, tileCols: 1, minQuantizer: 26, maxQuantizer: 46, effort: 4 };
-}
-
-function getFormatOptions(format, quality, avifParams, isAnimated) {
-  const base = {
-    quality,
-    alphaQuality: 80,
-    bitdepth: 8,
-    chromaSubsampling: '4:2:0',
-    speed: 6,
-    loop: isAnimated ? 0 : undefined
-  };
-  return format === 'avif' ? { ...base, ...avifParams } : base;
+// Base of the download name: the uploaded file's name or the URL's last path segment
+function outputName({ url, filename }) {
+  if (filename) return filename;
+  try {
+    return new URL(url).pathname.split('/').pop();
+  } catch {
+    return '';
+  }
 }
 
-function sendImage(res, data, format, url, originSize, compressedSize) {
-  const filename = sanitizeFilename(new URL(url).pathname.split('/').pop() || 'image') + `.${format}`;
+function sendImage(res, data, format, name, originSize, compressedSize, etag, maxAge) {
+  const filename = (sanitizeFilename(name) || 'image') + `.${format}`;
   res.setHeader('Content-Type', `image/${format}`);
   res.setHeader('Content-Length', data.length);
   res.setHeader('Content-Disposition', `inline; filename="${filename}"`);
   res.setHeader('X-Content-Type-Options', 'nosniff');
   res.setHeader('x-original-size', originSize);
   res.setHeader('x-bytes-saved', Math.max(originSize - compressedSize, 0));
-  res.setHeader('Cache-Control', 'public, max-age=31536000');
-  res.setHeader('CDN-Cache-Control', 'public, max-age=31536000');
-  res.setHeader('Vercel-CDN-Cache-Control', 'public, max-age=31536000');
+  if (maxAge !== null) {
+    res.setHeader('Cache-Control', `public, max-age=${maxAge}`);
+    res.setHeader('CDN-Cache-Control', `public, max-age=${maxAge}`);
+    res.setHeader('Vercel-CDN-Cache-Control', `public, max-age=${maxAge}`);
+  }
+  if (etag) res.setHeader('ETag', etag);
   res.status(200).end(data);
+
+  recordOutcome('compressed');
+  recordTransfer(originSize, data.length);
 }
 
-function fail(message, req, res, err = null) {
-  console.error(JSON.stringify({
-    level: 'error',
-    message,
-    url: req?.params?.url?.slice(0, 100),
-    error: err?.message,
-    stack: process.env.NODE_ENV === 'development' ? err?.stack : undefined
-  }));
-  redirect(req, res);
+function fail(message, req, res, err = null, status = 500) {
+  logger.error(message, { url: redactUrl(req?.params?.url), err: err ?? undefined });
+  if (!req?.params?.upload) return redirect(req, res);
+
+  // Uploads have no original to send the client to
+  recordOutcome('error');
+  if (!res.headersSent) res.status(status).json({ error: message });
 }
 
 
@@ -0,0 +1,104 @@
+import crypto from 'crypto';
+
+// Headers a 304 must carry so caches can update their stored response (RFC 9110 §15.4.5)
+const NOT_MODIFIED_HEADERS = [
+  'cache-control',
+  'cdn-cache-control',
+  'vercel-cdn-cache-control',
+  'content-location',
+  'etag',
+  'expires',
+  'last-modified',
+  'vary'
+];
+
+// Headers describing a body, which a 304 does not have
+const BODY_HEADERS = ['content-type', 'content-length', 'content-disposition', 'content-encoding'];
+
+/**
+ * Extracts the origin's validators from its response headers.
+ */
+export function getValidators(headers) {
+  return {
+    etag: headers?.etag || null,
+    lastModified: headers?.['last-modified'] || null
+  };
+}
+
+/**
+ * Builds a stable weak ETag from the source validators plus the transform cache key.
+ * Falls back to hashing the body when the origin sends no validators.
+ * Weak because re-encoding is only semantically (not byte-for-byte) stable across sharp versions.
+ */
+export function computeEtag(validators, key, body) {
+  let source = validators?.etag || validators?.lastModified;
+  if (!source && Buffer.isBuffer(body)) {
+    source = crypto.createHash('sha1').update(body).digest('hex');
+  }
+  if (!source) return null;
+
+  const hash = crypto
+    .createHash('sha256')
+    .update(`${source}\n${key}`)
+    .digest('base64url')
+    .slice(0, 27);
+
+  return `W/"${hash}"`;
+}
+
+function opaqueTag(tag) {
+  return tag.trim().replace(/^W\//, '');
+}
+
+/**
+ * Evaluates If-None-Match / If-Modified-Since from the client.
+ * If-Modified-Since is ignored when If-None-Match is present.
+ */
+export function isNotModified(req, etag, lastModified) {
+  const ifNoneMatch = req.headers['if-none-match'];
+
+  if (ifNoneMatch) {
+    if (!etag) return false;
+    if (ifNoneMatch.trim() === '*') return true;
+    const wanted = opaqueTag(etag);
+    return ifNoneMatch.split(',').some(tag => opaqueTag(tag) === wanted);
+  }
+
+  const ifModifiedSince = req.headers['if-modified-since'];
+  if (ifModifiedSince && lastModified) {
+    const since = Date.parse(ifModifiedSince);
+    const modified = Date.parse(lastModified);
+    if (Number.isNaN(since) || Number.isNaN(modified)) return false;
+    return modified <= since;
+  }
+
+  return false;
+}
+
+/**
+ * Adds conditional headers for revalidating a stored entry against the origin.
+ */
+export function applyRevalidation(requestHeaders, validators) {
+  if (validators?.etag) requestHeaders['if-none-match'] = validators.etag;
+  if (validators?.lastModified) requestHeaders['if-modified-since'] = validators.lastModified;
+  return requestHeaders;
+}
+
+/**
+ * Sends a 304 carrying only the headers allowed on it.
+ * `headers` is an optional snapshot (e.g. from a cache entry) to take them from.
+ */
+export function sendNotModified(res, headers = null) {
+  if (res.headersSent) return;
+
+  if (headers) {
+    for (const name of NOT_MODIFIED_HEADERS) {
+      if (headers[name] !== undefined) res.setHeader(name, headers[name]);
+    }
+  }
+
+  for (const name of BODY_HEADERS) res.removeHeader(name);
+
+  res.statusCode = 304;
+  res.end();
+}
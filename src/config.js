@@ -0,0 +1,285 @@
+import fs from 'fs';
+import net from 'net';
+import os from 'os';
+
+/**
+ * Central configuration. Every setting has a default, can be set in the JSON file named by
+ * CONFIG_FILE (same nesting as SCHEMA, e.g. { "cache": { "ttlMs": 3600000 } }) and is
+ * overridden by its environment variable. Everything is validated once, at startup;
+ * a bad value stops the process with a message naming the setting.
+ *
+ * The default export is loaded from the process environment. createApp()/createRouter() and the
+ * module factories take a `config` option and fall back to it; loadConfig() builds another one,
+ * e.g. for a second app with its own settings in the same process.
+ */
+
+// --- Schema ---
+const integer = (env, fallback, min, max) => ({ type: 'integer', env, default: fallback, min, max });
+const number = (env, fallback, min, max) => ({ type: 'number', env, default: fallback, min, max });
+const boolean = (env, fallback) => ({ type: 'boolean', env, default: fallback });
+const string = (env, fallback = '') => ({ type: 'string', env, default: fallback });
+const list = (env) => ({ type: 'list', env, default: [] });
+const oneOf = (env, fallback, values) => ({ type: 'enum', env, default: fallback, values });
+// Further variable names read when `env` is unset (e.g. the lowercase proxy variables)
+const alias = (spec, ...aliases) => ({ ...spec, aliases });
+// Express `trust proxy`: false, a hop count, or addresses/subnets (`fallback` may depend on the environment)
+const trust = (env, fallback) => ({ type: 'trust', env, default: fallback });
+
+const MAX_INT = Number.MAX_SAFE_INTEGER;
+const TRUST_NAMES = new Set(['loopback', 'linklocal', 'uniquelocal']);
+
+const SCHEMA = {
+  server: {
+    port: integer('PORT', 443, 1, 65535),
+    // Proxies in front of us whose X-Forwarded-For is believed (client IPs for rate limits and logs).
+    // Off by default, except on Vercel, whose edge is exactly one hop away.
+    trustProxy: trust('TRUST_PROXY', env => (env.VERCEL ? 1 : false))
+  },
+  logging: {
+    level: oneOf('LOG_LEVEL', 'info', ['debug', 'info', 'warn', 'error', 'silent']),
+    requests: boolean('LOG_REQUESTS', true) // one summary line per request
+  },
+  auth: {
+    login: string('LOGIN'),
+    password: string('PASSWORD'),
+    usersFile: string('USERS_FILE'),
+    maxFailuresPerMinute: integer('AUTH_MAX_FAILURES', 10, 0, MAX_INT) // failed logins per IP, then 429
+  },
+  params: {
+    defaultQuality: integer('DEFAULT_QUALITY', 40, 10, 100),
+    minQuality: integer('MIN_QUALITY', 10, 1, 100),
+    maxQuality: integer('MAX_QUALITY', 100, 10, 100),
+    maxTargetDimension: integer('MAX_TARGET_DIMENSION', 4096, 16, 16384),
+    clientHints: boolean('CLIENT_HINTS', true),
+    pickSmallest: boolean('PICK_SMALLEST', false)
+  },
+  compress: {
+    minCompressLength: integer('MIN_COMPRESS_LENGTH', 1024, 0, MAX_INT),
+    minSavingsRatio: number('MIN_SAVINGS_RATIO', 0.05, 0, 0.9),
+    processingTimeoutMs: integer('PROCESSING_TIMEOUT_MS', 60_000, 1000, MAX_INT),
+    maxInputPixels: integer('MAX_INPUT_PIXELS', 100_000_000, 1, MAX_INT), // safety for serverless memory
+    // Pixel counts above which AVIF uses faster (lower effort, coarser quantizer) settings
+    avifLargePixels: integer('AVIF_LARGE_PIXELS', 4_000_000, 1, MAX_INT),
+    avifMediumPixels: integer('AVIF_MEDIUM_PIXELS', 1_000_000, 1, MAX_INT),
+    cacheMaxAgeSeconds: integer('RESPONSE_MAX_AGE', 31_536_000, 0, MAX_INT)
+  },
+  animation: {
+    maxFrames: integer('ANIMATION_MAX_FRAMES', 300, 1, MAX_INT),
+    maxPixels: integer('ANIMATION_MAX_PIXELS', 50_000_000, 1, MAX_INT), // width * height * frames
+    maxFps: number('ANIMATION_MAX_FPS', 0, 0, 1000) // 0 keeps every frame
+  },
+  pool: {
+    workers: integer('ENCODE_WORKERS', os.availableParallelism?.() || os.cpus().length, 0, 256),
+    queueMax: integer('ENCODE_QUEUE_MAX', 64, 0, MAX_INT),
+    queueTimeoutMs: integer('ENCODE_QUEUE_TIMEOUT_MS', 10_000, 0, MAX_INT),
+    degradeAt: number('ENCODE_DEGRADE_AT', 0.5, 0, 1)
+  },
+  privacy: {
+    enabled: boolean('PRIVACY_MODE', false), // strip cookies, auth, referer; generic user agent
+    forwardClientIp: boolean('FORWARD_CLIENT_IP', false) // X-Forwarded-For; ignored in privacy mode
+  },
+  upstream: {
+    maxBodyBytes: integer('MAX_BUFFER_SIZE', 25 * 1024 * 1024, 1, MAX_INT),
+    requestTimeoutMs: integer('UPSTREAM_TIMEOUT_MS', 15_000, 1, MAX_INT),
+    responseTimeoutMs: integer('UPSTREAM_RESPONSE_TIMEOUT_MS', 20_000, 1, MAX_INT),
+    retries: integer('UPSTREAM_RETRIES', 2, 0, 10), // extra attempts on transient errors
+    retryDelayMs: integer('UPSTREAM_RETRY_DELAY_MS', 250, 0, 60_000), // backoff base, jittered
+    breakerThreshold: integer('CIRCUIT_BREAKER_THRESHOLD', 5, 0, MAX_INT), // 0 disables
+    breakerCooldownMs: integer('CIRCUIT_BREAKER_COOLDOWN_MS', 30_000, 0, MAX_INT),
+    ssrfAllowlist: list('SSRF_ALLOWLIST'),
+    defaultFilename: string('DEFAULT_FILENAME', 'file.bin')
+  },
+  egress: {
+    httpProxy: alias(string('HTTP_PROXY'), 'http_proxy'), // proxy for http:// origins
+    httpsProxy: alias(string('HTTPS_PROXY'), 'https_proxy'), // proxy for https:// origins
+    allProxy: alias(string('ALL_PROXY'), 'all_proxy'), // fallback for both, e.g. socks5://tunnel:1080
+    noProxy: alias(list('NO_PROXY'), 'no_proxy') // hosts, domains, IPs/CIDRs fetched directly
+  },
+  svg: {
+    optimize: boolean('SVG_OPTIMIZE', true), // clean markup; off passes SVGs through untouched
+    rasterize: boolean('SVG_RASTERIZE', false), // render large/complex SVGs to the requested raster format
+    rasterizeBytes: integer('SVG_RASTERIZE_BYTES', 256 * 1024, 0, MAX_INT), // cleaned size that triggers it
+    rasterizeElements: integer('SVG_RASTERIZE_ELEMENTS', 5000, 0, MAX_INT), // element count that triggers it
+    rasterMaxDimension: integer('SVG_RASTER_MAX_DIMENSION', 2048, 16, 16384)
+  },
+  batch: {
+    maxItems: integer('BATCH_MAX_ITEMS', 50, 1, 1000),
+    concurrency: integer('BATCH_CONCURRENCY', 4, 1, 64), // items processed at once per batch
+    maxInlineBytes: integer('BATCH_INLINE_MAX_BYTES', 512 * 1024, 0, MAX_INT) // larger results get a link
+  },
+  cache: {
+    maxBytes: integer('CACHE_MAX_BYTES', 64 * 1024 * 1024, 0, MAX_INT), // 0 disables
+    dir: string('CACHE_DIR'),
+    diskMaxBytes: integer('CACHE_DISK_MAX_BYTES', 512 * 1024 * 1024, 0, MAX_INT),
+    ttlMs: integer('CACHE_TTL_MS', 24 * 60 * 60 * 1000, 0, MAX_INT)
+  },
+  rateLimit: {
+    ipPerMinute: integer('RATE_LIMIT_IP', 300, 0, MAX_INT), // 0 disables that limit
+    userPerMinute: integer('RATE_LIMIT_USER', 600, 0, MAX_INT),
+    burst: integer('RATE_LIMIT_BURST', 300, 0, MAX_INT), // a page load fires its images at once
+    maxConcurrent: integer('RATE_LIMIT_CONCURRENCY', 16, 0, MAX_INT) // compressions, not requests
+  },
+  metrics: {
+    token: string('METRICS_TOKEN')
+  },
+  rules: {
+    file: string('RULES_FILE')
+  }
+};
+
+// --- Parsing ---
+const TRUE_VALUES = new Set(['1', 'true', 'yes', 'on']);
+const FALSE_VALUES = new Set(['0', 'false', 'no', 'off']);
+
+function describe(spec) {
+  switch (spec.type) {
+    case 'integer':
+    case 'number': {
+      const kind = spec.type === 'integer' ? 'an integer' : 'a number';
+      return spec.max === MAX_INT ? `${kind} >= ${spec.min}` : `${kind} between ${spec.min} and ${spec.max}`;
+    }
+    case 'boolean':
+      return 'a boolean (true/false)';
+    case 'list':
+      return 'a list (JSON array, or comma-separated in the environment)';
+    case 'enum':
+      return `one of ${spec.values.join(', ')}`;
+    case 'trust':
+      return `false, a hop count or a list of addresses/subnets (or ${[...TRUST_NAMES].join(', ')})`;
+    default:
+      return 'a string';
+  }
+}
+
+// Converts an environment string to the setting's type; undefined when it does not parse
+function fromEnv(spec, raw) {
+  const str = raw.trim();
+  switch (spec.type) {
+    case 'integer':
+      return /^-?\d+$/.test(str) ? Number(str) : undefined;
+    case 'number':
+      return str !== '' && Number.isFinite(Number(str)) ? Number(str) : undefined;
+    case 'boolean': {
+      const lower = str.toLowerCase();
+      if (TRUE_VALUES.has(lower)) return true;
+      if (FALSE_VALUES.has(lower)) return false;
+      return undefined;
+    }
+    case 'list':
+      return str.split(',').map(s => s.trim()).filter(Boolean);
+    case 'enum':
+      return str.toLowerCase();
+    case 'trust': {
+      if (FALSE_VALUES.has(str.toLowerCase())) return false;
+      if (/^\d+$/.test(str)) return Number(str) || false;
+      return str.split(',').map(s => s.trim()).filter(Boolean);
+    }
+    default:
+      return raw;
+  }
+}
+
+function isTrustEntry(entry) {
+  if (typeof entry !== 'string') return false;
+  if (TRUST_NAMES.has(entry)) return true;
+  const [address, bits, extra] = entry.split('/');
+  const family = net.isIP(address);
+  if (!family || extra !== undefined) return false;
+  return bits === undefined || (/^\d+$/.test(bits) && Number(bits) <= (family === 4 ? 32 : 128));
+}
+
+function isValid(spec, value) {
+  switch (spec.type) {
+    case 'integer':
+      return Number.isInteger(value) && value >= spec.min && value <= spec.max;
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value) && value >= spec.min && value <= spec.max;
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'list':
+      return Array.isArray(value) && value.every(v => typeof v === 'string');
+    case 'enum':
+      return spec.values.includes(value);
+    case 'trust':
+      return value === false
+        || (Number.isInteger(value) && value > 0)
+        || (Array.isArray(value) && value.length > 0 && value.every(isTrustEntry));
+    default:
+      return typeof value === 'string';
+  }
+}
+
+function readFile(file, errors) {
+  if (!file) return {};
+  try {
+    const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      errors.push(`${file} must contain a JSON object`);
+      return {};
+    }
+    return parsed;
+  } catch (err) {
+    errors.push(`cannot read ${file}: ${err.message}`);
+    return {};
+  }
+}
+
+/**
+ * Builds and validates a configuration from defaults, the JSON file `file` and `env`.
+ * Throws one error listing every invalid or unknown setting.
+ */
+export function loadConfig({ env = process.env, file = env.CONFIG_FILE } = {}) {
+  const errors = [];
+  const fileValues = readFile(file, errors);
+  const config = {};
+
+  for (const [section, unknown] of Object.entries(fileValues)) {
+    if (!SCHEMA[section]) errors.push(`unknown section "${section}" in ${file}`);
+    else if (!unknown || typeof unknown !== 'object') errors.push(`"${section}" in ${file} must be an object`);
+  }
+
+  for (const [section, settings] of Object.entries(SCHEMA)) {
+    const fromFile = fileValues[section] && typeof fileValues[section] === 'object' ? fileValues[section] : {};
+    for (const key of Object.keys(fromFile)) {
+      if (!settings[key]) errors.push(`unknown setting "${section}.${key}" in ${file}`);
+    }
+
+    config[section] = {};
+    for (const [key, spec] of Object.entries(settings)) {
+      let value = typeof spec.default === 'function' ? spec.default(env) : spec.default;
+      let source = 'default';
+
+      if (fromFile[key] !== undefined) {
+        value = fromFile[key];
+        source = file;
+      }
+      const envName = [spec.env, ...(spec.aliases || [])].find(name => env[name] !== undefined && env[name] !== '');
+      if (envName) {
+        value = fromEnv(spec, env[envName]);
+        source = envName;
+      }
+
+      if (!isValid(spec, value)) {
+        const shown = source === envName ? JSON.stringify(env[envName]) : JSON.stringify(value);
+        errors.push(`${section}.${key} (${source}) must be ${describe(spec)}, got ${shown}`);
+      }
+      config[section][key] = value;
+    }
+    Object.freeze(config[section]);
+  }
+
+  if (config.params.minQuality > config.params.maxQuality) {
+    errors.push('params.minQuality must not exceed params.maxQuality');
+  }
+
+  if (errors.length) {
+    throw new Error(`[Config] Invalid configuration:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  return Object.freeze(config);
+}
+
+// Loaded once, on first import; the default wherever no config is passed in
+const config = loadConfig();
+
+export default config;
@@ -0,0 +1,43 @@
+import { createCache } from './cache.js';
+import { createEgress } from './egress.js';
+import { createEncodePool } from './encodePool.js';
+import { createRules } from './rules.js';
+import { createSsrfGuard } from './ssrf.js';
+import { createCircuitBreaker } from './circuitBreaker.js';
+import { createSingleFlight } from './singleFlight.js';
+import defaultConfig from './config.js';
+
+/**
+ * Per-router state, built from one configuration. createRouter() attaches it to every request
+ * as `req.context`; handlers take their settings (`req.context.config`) and services from there.
+ *
+ *   config      the configuration (see config.js)
+ *   rules       host rules (RULES_FILE)
+ *   ssrf        SSRF guard (SSRF_ALLOWLIST)
+ *   egress      origin connections, through outbound proxies where configured
+ *   cache       result cache
+ *   encodePool  encode workers
+ *   breaker     circuit breaker per origin host
+ *   flights     identical requests in progress, which share one download and encode
+ *
+ * Throws when the rules file or a proxy URL is invalid.
+ */
+export function createContext({ config = defaultConfig } = {}) {
+  const rules = createRules({ config });
+  const ssrf = createSsrfGuard({ config });
+
+  return {
+    config,
+    rules,
+    ssrf,
+    egress: createEgress({ config, rules, ssrf }),
+    cache: createCache({ config }),
+    encodePool: createEncodePool({ config }),
+    // Hosts that keep failing are skipped (clients go straight to the original) for a while
+    breaker: createCircuitBreaker({
+      threshold: config.upstream.breakerThreshold,
+      cooldownMs: config.upstream.breakerCooldownMs
+    }),
+    flights: createSingleFlight()
+  };
+}
@@ -0,0 +1,440 @@
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import tls from 'tls';
+import http2wrapper from 'http2-wrapper';
+import { createSsrfGuard } from './ssrf.js';
+import { createRules } from './rules.js';
+import defaultConfig from './config.js';
+
+/**
+ * Outbound proxy support for origin fetches.
+ *
+ * Origins are fetched directly unless HTTPS_PROXY / HTTP_PROXY (by origin scheme) or ALL_PROXY
+ * name a proxy, NO_PROXY exempts the host, or a host rule says otherwise (`"proxy": "<url>"` or
+ * `"direct"`). Supported proxies:
+ *
+ *   http://[user:pass@]host:port    HTTP (https:// for a TLS connection to the proxy)
+ *   socks5://[user:pass@]host:port  SOCKS5, origin resolved here
+ *   socks5h://[user:pass@]host:port SOCKS5, origin resolved by the proxy
+ *
+ * https:// origins are reached through a tunnel (CONNECT or SOCKS), so HTTP/2 negotiation works
+ * as it does directly (IP-literal origins excepted). Plain http:// origins go through HTTP proxies as absolute-form requests
+ * (`GET http://host/path`), as most proxies only allow CONNECT to port 443, and through SOCKS
+ * proxies as a tunnel. Tunnels and absolute-form requests go to the address the SSRF guard
+ * checked, with the original name kept for SNI and the Host header. socks5h leaves resolution to
+ * the proxy, so it is only used for IP literals and hosts named in SSRF_ALLOWLIST; other origins
+ * routed through it are refused.
+ */
+
+// --- Constants ---
+const PROXY_PROTOCOLS = new Set(['http:', 'https:', 'socks5:', 'socks5h:']);
+const ALPN_CACHE_SIZE = 1000; // origins whose HTTP/2 support is remembered, per proxy
+
+const SOCKS_VERSION = 0x05;
+const SOCKS_ERRORS = {
+  0x01: 'general failure',
+  0x02: 'connection not allowed by ruleset',
+  0x03: 'network unreachable',
+  0x04: 'host unreachable',
+  0x05: 'connection refused',
+  0x06: 'TTL expired',
+  0x07: 'command not supported',
+  0x08: 'address type not supported'
+};
+
+function proxyError(message, code = 'ERR_PROXY') {
+  const error = new Error(`[Egress] ${message}`);
+  error.code = code;
+  return error;
+}
+
+function parseProxyUrl(value, name) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    throw new Error(`[Egress] ${name} is not a valid URL: ${JSON.stringify(value)}`);
+  }
+  if (!PROXY_PROTOCOLS.has(url.protocol)) {
+    throw new Error(`[Egress] ${name} must be an http://, https://, socks5:// or socks5h:// URL`);
+  }
+  return url;
+}
+
+// --- NO_PROXY ---
+// Entries: "*" (everything), hostnames ("example.com" and ".example.com" both cover subdomains),
+// IPs and CIDRs, each optionally with ":port". Returns isNoProxy(hostname, port).
+function parseNoProxy(entries) {
+  const addresses = new net.BlockList();
+  const hosts = [];
+  let all = false;
+
+  for (const raw of entries) {
+    const entry = raw.trim().toLowerCase();
+    if (entry === '*') {
+      all = true;
+      continue;
+    }
+
+    const bracketed = entry.match(/^\[([^\]]+)\](?::(\d+))?$/);
+    const hostPort = !bracketed && net.isIP(entry) !== 6 ? entry.match(/^(.*?)(?::(\d+))?$/) : null;
+    const [, host, port] = bracketed || hostPort || [entry, entry, undefined];
+
+    const [address, bits] = host.split('/');
+    const family = net.isIP(address);
+    if (family && !port) {
+      const type = family === 4 ? 'ipv4' : 'ipv6';
+      addresses.addSubnet(address, bits ? parseInt(bits, 10) : (family === 4 ? 32 : 128), type);
+    } else if (host) {
+      hosts.push({ host: host.replace(/^\*?\./, ''), port: port && Number(port) });
+    }
+  }
+
+  return function isNoProxy(hostname, port) {
+    if (all) return true;
+    const host = hostname.toLowerCase().replace(/^\[|\]$/g, '');
+
+    const family = net.isIP(host);
+    if (family && addresses.check(host, family === 4 ? 'ipv4' : 'ipv6')) return true;
+
+    return hosts.some(entry =>
+      (!entry.port || entry.port === port) && (host === entry.host || host.endsWith(`.${entry.host}`)));
+  };
+}
+
+// --- Tunnels ---
+function proxyAddress(proxy) {
+  return {
+    host: proxy.hostname.replace(/^\[|\]$/g, ''),
+    port: Number(proxy.port) || (proxy.protocol === 'https:' ? 443 : 1080)
+  };
+}
+
+function connectToProxy(proxy) {
+  const { host, port } = proxyAddress(proxy);
+  return proxy.protocol === 'https:'
+    ? tls.connect({ host, port, servername: net.isIP(host) ? undefined : host, ALPNProtocols: ['http/1.1'] })
+    : net.connect({ host, port });
+}
+
+function proxyCredentials(proxy) {
+  return {
+    username: decodeURIComponent(proxy.username),
+    password: decodeURIComponent(proxy.password)
+  };
+}
+
+function proxyAuthorization(proxy) {
+  const { username, password } = proxyCredentials(proxy);
+  return `Basic ${Buffer.from(`${username}:${password}`).toString('base64')}`;
+}
+
+// Writes `message` and resolves with the reply once replyLength(bytesSoFar) bytes are in
+// (null: not known yet). Reads in paused mode so whoever takes over the socket sees every later byte.
+function exchange(socket, message, replyLength) {
+  return new Promise((resolve, reject) => {
+    let buffer = Buffer.alloc(0);
+
+    const cleanup = () => {
+      socket.off('readable', onReadable);
+      socket.off('error', onError);
+      socket.off('close', onClose);
+    };
+    const onError = (err) => {
+      cleanup();
+      reject(err);
+    };
+    const onClose = () => onError(proxyError('Proxy closed the connection'));
+    const onReadable = () => {
+      let chunk;
+      while ((chunk = socket.read()) !== null) {
+        buffer = Buffer.concat([buffer, chunk]);
+        const needed = replyLength(buffer);
+        if (needed === null || buffer.length < needed) continue;
+
+        cleanup();
+        if (buffer.length > needed) socket.unshift(buffer.subarray(needed));
+        return resolve(buffer.subarray(0, needed));
+      }
+    };
+
+    socket.on('readable', onReadable);
+    socket.once('error', onError);
+    socket.once('close', onClose);
+    socket.write(message);
+  });
+}
+
+// Connects to the proxy and runs the `run` handshake on the socket, bounded by `timeoutMs`
+async function handshake(proxy, timeoutMs, run) {
+  const socket = connectToProxy(proxy);
+  socket.setTimeout(timeoutMs, () => socket.destroy(proxyError('Proxy handshake timed out', 'ETIMEDOUT')));
+
+  try {
+    await run(socket);
+    socket.setTimeout(0);
+    return socket;
+  } catch (err) {
+    socket.destroy();
+    throw err;
+  }
+}
+
+function httpConnect(proxy, host, port, timeoutMs) {
+  const authority = net.isIP(host) === 6 ? `[${host}]:${port}` : `${host}:${port}`;
+  const lines = [`CONNECT ${authority} HTTP/1.1`, `Host: ${authority}`];
+  if (proxy.username) lines.push(`Proxy-Authorization: ${proxyAuthorization(proxy)}`);
+
+  return handshake(proxy, timeoutMs, async (socket) => {
+    const reply = await exchange(socket, `${lines.join('\r\n')}\r\n\r\n`, (buf) => {
+      const end = buf.indexOf('\r\n\r\n');
+      return end === -1 ? null : end + 4;
+    });
+    const status = Number(reply.toString('latin1').match(/^HTTP\/1\.[01] (\d{3})/)?.[1]);
+    if (status !== 200) {
+      throw proxyError(`Proxy refused CONNECT to ${authority}: ${status || 'malformed reply'}`, 'ERR_PROXY_CONNECT');
+    }
+  });
+}
+
+function socksAddress(host) {
+  const family = net.isIP(host);
+  if (family === 4) return Buffer.from([0x01, ...host.split('.').map(Number)]);
+  if (family === 6) {
+    const [head, tail = ''] = host.split('::');
+    const headGroups = head ? head.split(':') : [];
+    const tailGroups = tail ? tail.split(':') : [];
+    const groups = host.includes('::')
+      ? [...headGroups, ...Array(8 - headGroups.length - tailGroups.length).fill('0'), ...tailGroups]
+      : headGroups;
+    const bytes = Buffer.alloc(16);
+    groups.forEach((group, i) => bytes.writeUInt16BE(parseInt(group, 16), i * 2));
+    return Buffer.concat([Buffer.from([0x04]), bytes]);
+  }
+  const name = Buffer.from(host);
+  if (name.length > 255) throw proxyError(`Hostname too long for SOCKS: ${host}`);
+  return Buffer.concat([Buffer.from([0x03, name.length]), name]);
+}
+
+function socksConnect(proxy, host, port, timeoutMs) {
+  return handshake(proxy, timeoutMs, async (socket) => {
+    const credentials = proxy.username ? proxyCredentials(proxy) : null;
+    const methods = credentials ? [0x00, 0x02] : [0x00];
+    const [, method] = await exchange(socket, Buffer.from([SOCKS_VERSION, methods.length, ...methods]), () => 2);
+
+    if (method === 0x02 && credentials) {
+      const user = Buffer.from(credentials.username);
+      const pass = Buffer.from(credentials.password);
+      const [, status] = await exchange(
+        socket,
+        Buffer.concat([Buffer.from([0x01, user.length]), user, Buffer.from([pass.length]), pass]),
+        () => 2
+      );
+      if (status !== 0x00) throw proxyError('SOCKS authentication failed', 'ERR_PROXY_AUTH');
+    } else if (method !== 0x00) {
+      throw proxyError('SOCKS proxy accepts none of our authentication methods', 'ERR_PROXY_AUTH');
+    }
+
+    const portBytes = Buffer.alloc(2);
+    portBytes.writeUInt16BE(port);
+    const reply = await exchange(
+      socket,
+      Buffer.concat([Buffer.from([SOCKS_VERSION, 0x01, 0x00]), socksAddress(host), portBytes]),
+      (buf) => {
+        if (buf.length < 5) return null;
+        const addressLength = { 0x01: 4, 0x04: 16, 0x03: 1 + buf[4] }[buf[3]];
+        return 4 + (addressLength ?? 0) + 2;
+      }
+    );
+    if (reply[1] !== 0x00) {
+      throw proxyError(`SOCKS connect to ${host}:${port} failed: ${SOCKS_ERRORS[reply[1]] || reply[1]}`, 'ERR_PROXY_CONNECT');
+    }
+  });
+}
+
+// --- Agents ---
+// Tunnelled agents get `tunnel(hostname, port)`, which resolves with a socket through their proxy
+
+// Plain connections to an HTTP proxy, for absolute-form requests
+class ForwardHttpAgent extends http.Agent {
+  constructor(proxy) {
+    super({ keepAlive: true });
+    this.proxy = proxy;
+  }
+
+  createConnection() {
+    return connectToProxy(this.proxy);
+  }
+}
+
+class TunnelHttpAgent extends http.Agent {
+  constructor(tunnel) {
+    super({ keepAlive: true });
+    this.tunnel = tunnel;
+  }
+
+  createConnection(options, callback) {
+    this.tunnel(options.host, options.port || 80).then(socket => callback(null, socket), callback);
+  }
+}
+
+class TunnelHttpsAgent extends https.Agent {
+  constructor(tunnel) {
+    super({ keepAlive: true });
+    this.tunnel = tunnel;
+  }
+
+  createConnection(options, callback) {
+    // HTTP/2 goes through TunnelHttp2Agent, so only HTTP/1.1 is offered here
+    this.tunnel(options.host, options.port || 443)
+      .then(socket => callback(null, tls.connect({ ...options, ALPNProtocols: ['http/1.1'], socket })), callback);
+  }
+}
+
+class TunnelHttp2Agent extends http2wrapper.Agent {
+  constructor(tunnel) {
+    super();
+    this.tunnel = tunnel;
+  }
+
+  async createConnection(origin, options) {
+    const tunnel = await this.tunnel(origin.hostname, origin.port || 443);
+    return http2wrapper.Agent.connect(origin, { ...options, socket: tunnel });
+  }
+}
+
+/**
+ * ALPN (h2 or http/1.1) negotiated through the tunnel. IP-literal origins stay on HTTP/1.1: without
+ * SNI an HTTP/2 session names its origin after the peer address, which for a tunnel is not the origin.
+ */
+function tunnelledProtocol(tunnel) {
+  const resolve = http2wrapper.auto.createResolveProtocol(boundedCache(ALPN_CACHE_SIZE), new Map(), async (options, callback) => {
+    const socket = await tunnel(options.host, options.port);
+    return tls.connect({ ...options, socket }, callback);
+  });
+  return options => (net.isIP(options.host.replace(/^\[|\]$/g, '')) ? { alpnProtocol: 'http/1.1' } : resolve(options));
+}
+
+function boundedCache(max) {
+  const map = new Map();
+  return {
+    has: key => map.has(key),
+    get: key => map.get(key),
+    set(key, value) {
+      map.delete(key);
+      map.set(key, value);
+      if (map.size > max) map.delete(map.keys().next().value);
+    }
+  };
+}
+
+/**
+ * Builds the egress for `config` (proxy variables, NO_PROXY, tunnel timeout), with `rules` for
+ * per-host proxies and `ssrf` checking the addresses tunnels are opened to. Throws on an invalid
+ * proxy URL.
+ *
+ *   request(url, options, callback) got `request` function: HTTP/2 when the origin offers it,
+ *                                   routed per host (every redirect hop is routed again)
+ *   proxyFor(url)                   the proxy URL to reach `url` through, or null to connect directly
+ *   openTunnel(proxy, host, port)   a raw TCP tunnel to host:port through `proxy`
+ */
+export function createEgress({
+  config = defaultConfig,
+  rules = createRules({ config }),
+  ssrf = createSsrfGuard({ config })
+} = {}) {
+  const { httpProxy, httpsProxy, allProxy } = config.egress;
+  const ALL_PROXY = allProxy ? parseProxyUrl(allProxy, 'ALL_PROXY') : null;
+  const HTTP_PROXY = httpProxy ? parseProxyUrl(httpProxy, 'HTTP_PROXY') : ALL_PROXY;
+  const HTTPS_PROXY = httpsProxy ? parseProxyUrl(httpsProxy, 'HTTPS_PROXY') : ALL_PROXY;
+  const isNoProxy = parseNoProxy(config.egress.noProxy);
+  const TUNNEL_TIMEOUT_MS = config.upstream.requestTimeoutMs;
+
+  function proxyFor(url) {
+    const target = url instanceof URL ? url : new URL(url);
+
+    const rule = rules.getHostRule(target.href);
+    if (rule?.proxy) return rule.proxy === 'direct' ? null : new URL(rule.proxy);
+
+    const proxy = target.protocol === 'https:' ? HTTPS_PROXY : HTTP_PROXY;
+    const port = Number(target.port) || (target.protocol === 'https:' ? 443 : 80);
+    return proxy && !isNoProxy(target.hostname, port) ? proxy : null;
+  }
+
+  function resolveTarget(hostname) {
+    const host = hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(host)) return Promise.resolve(host);
+    return new Promise((resolve, reject) => {
+      ssrf.guardedLookup(host, {}, (err, address) => (err ? reject(err) : resolve(address)));
+    });
+  }
+
+  // socks5h resolves on the proxy, past the guard: names are passed on only when allowlisted
+  function remoteTarget(hostname) {
+    const host = hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(host)) return resolveTarget(host).then(() => host);
+    if (ssrf.isAllowedName(host)) return Promise.resolve(host);
+    return Promise.reject(proxyError(
+      `socks5h:// proxies resolve ${host} past the SSRF check; use socks5:// or add it to SSRF_ALLOWLIST`,
+      'ERR_SSRF_BLOCKED'
+    ));
+  }
+
+  async function openTunnel(proxy, hostname, port) {
+    const host = proxy.protocol === 'socks5h:' ? await remoteTarget(hostname) : await resolveTarget(hostname);
+    return proxy.protocol.startsWith('socks')
+      ? socksConnect(proxy, host, Number(port), TUNNEL_TIMEOUT_MS)
+      : httpConnect(proxy, host, Number(port), TUNNEL_TIMEOUT_MS);
+  }
+
+  // One set of agents (and ALPN cache) per proxy, so connections are reused
+  const routes = new Map();
+
+  function routeFor(proxy) {
+    let route = routes.get(proxy.href);
+    if (!route) {
+      const tunnel = (hostname, port) => openTunnel(proxy, hostname, port);
+      route = {
+        agent: { http: new TunnelHttpAgent(tunnel), https: new TunnelHttpsAgent(tunnel), http2: new TunnelHttp2Agent(tunnel) },
+        forward: proxy.protocol.startsWith('socks') ? null : new ForwardHttpAgent(proxy),
+        resolveProtocol: tunnelledProtocol(tunnel)
+      };
+      routes.set(proxy.href, route);
+    }
+    return route;
+  }
+
+  // An http:// request sent to the proxy in absolute form
+  async function forwardRequest(proxy, agent, url, options, callback) {
+    // Addressed by the checked IP so the proxy cannot resolve the name to something else
+    const address = await resolveTarget(url.hostname);
+    const target = new URL(url.href);
+    target.hostname = net.isIP(address) === 6 ? `[${address}]` : address;
+
+    const { host, port } = proxyAddress(proxy);
+    const headers = { ...options.headers, host: url.host };
+    if (proxy.username) headers['proxy-authorization'] = proxyAuthorization(proxy);
+    return http.request({
+      ...options,
+      protocol: 'http:',
+      hostname: host,
+      port,
+      path: target.href,
+      headers,
+      agent
+    }, callback);
+  }
+
+  function request(url, options, callback) {
+    const proxy = proxyFor(url);
+    if (!proxy) return http2wrapper.auto(url, options, callback);
+
+    const { agent, forward, resolveProtocol } = routeFor(proxy);
+    if (url.protocol !== 'http:') return http2wrapper.auto(url, { ...options, agent, resolveProtocol }, callback);
+    if (!forward) return http.request(url, { ...options, agent: agent.http }, callback);
+    return forwardRequest(proxy, forward, url, options, callback);
+  }
+
+  return { request, proxyFor, openTunnel };
+}
@@ -0,0 +1,362 @@
+import sharp from 'sharp';
+import { ALPHA_FORMATS } from './negotiate.js';
+
+/**
+ * The image pipeline proper: decode, resize, re-encode. Pure (no req/res), so it can run
+ * on a worker thread (see encodePool.js) or inline.
+ */
+
+//Optimize Sharp Configuration
+sharp.cache({ memory: 50, files: 0 });
+sharp.concurrency(1);
+sharp.simd(true);
+
+const MAX_DIMENSION = 16384;
+
+// Animations over budget (see encodeSettings) keep only their first frame
+const ANIMATED_FORMAT = 'webp';
+
+// Target-size mode (maxBytes / ratio): bounded quality search
+const TARGET_MIN_QUALITY = 5;
+const TARGET_MAX_PASSES = 6;
+const TARGET_TIME_BUDGET_MS = 10_000;
+
+/**
+ * The encoder's settings from a configuration, as a plain object that can be posted to a worker.
+ * Output must be at least `minSavingsRatio` smaller than the original, else there is none.
+ */
+export function encodeSettings(config) {
+  return {
+    maxInputPixels: config.compress.maxInputPixels,
+    avifLargePixels: config.compress.avifLargePixels,
+    avifMediumPixels: config.compress.avifMediumPixels,
+    minSavingsRatio: config.compress.minSavingsRatio,
+    animationMaxFrames: config.animation.maxFrames,
+    animationMaxPixels: config.animation.maxPixels,
+    animationMaxFps: config.animation.maxFps
+  };
+}
+
+/**
+ * Encodes `input` (Buffer or file path) as described by `job`:
+ * { format, quality, grayscale, width, height, dpr, fit, candidates, targetBytes, originSize, maxDimension,
+ * keepOutput }, within `settings` (see encodeSettings).
+ *
+ * Resolves with { data, format, quality, animation, seconds }. `data` is null when no output
+ * was enough smaller than the original, unless `keepOutput` (the original cannot be sent instead):
+ * then it is the smallest output. Throws on undecodable or oversized input.
+ */
+export async function encode(input, job, settings) {
+  const started = process.hrtime.bigint();
+  const maxPixels = settings.maxInputPixels;
+
+  // Longest side of the output (rasterized SVGs get a tighter bound)
+  const maxDimension = Math.min(job.maxDimension || MAX_DIMENSION, MAX_DIMENSION);
+
+  let sharpInstance = isMarkup(input)
+    ? await openVector(input, maxDimension, maxPixels)
+    : sharp(input, {
+      animated: true,
+      limitInputPixels: maxPixels // prevent decompression bombs
+    });
+
+  const metadata = await sharpInstance.metadata();
+
+  if (!metadata?.width || !metadata?.height) {
+    throw new Error('Invalid or missing metadata');
+  }
+
+  const { width } = metadata;
+  const pages = metadata.pages || 1;
+  // For animations metadata.height is the whole strip; a frame is pageHeight tall
+  const height = pages > 1 ? metadata.pageHeight || metadata.height / pages : metadata.height;
+  const pixelCount = width * height;
+
+  // --- Safety guard for extremely large files ---
+  if (pixelCount > maxPixels) {
+    throw new Error('Image too large for processing');
+  }
+
+  // --- Animation ---
+  // Animations are re-encoded as animated WebP (libvips cannot write AVIF sequences).
+  // Over budget, only the first frame is kept and encoded in the requested format.
+  let isAnimated = pages > 1;
+  let outputFormat = job.format;
+  let animationOptions = {};
+  let frameStep = 1;
+  let animation = null;
+
+  if (isAnimated) {
+    const plan = planAnimation(width, height, metadata.delay, pages, settings);
+
+    if (plan.still) {
+      isAnimated = false;
+      sharpInstance = sharp(input, { animated: false, limitInputPixels: maxPixels });
+      animation = 'first-frame';
+    } else {
+      outputFormat = ANIMATED_FORMAT;
+      animationOptions = { loop: metadata.loop ?? 0, delay: plan.delays };
+      frameStep = plan.step;
+    }
+  }
+
+  // --- Processing chain (built dynamically) ---
+  let processed = sharpInstance.clone();
+
+  if (job.grayscale) processed = processed.grayscale();
+
+  const resizeOptions = getResizeOptions(job, outputFormat, maxDimension);
+
+  if (resizeOptions) {
+    processed = processed.resize(resizeOptions);
+  } else if (width > maxDimension || height > maxDimension) {
+    processed = processed.resize({
+      width: Math.min(width, maxDimension),
+      height: Math.min(height, maxDimension),
+      fit: 'inside',
+      withoutEnlargement: true
+    });
+  }
+
+  // Frame dropping works on decoded frames, so do it after resizing (fewer bytes to copy)
+  if (frameStep > 1) {
+    processed = await dropFrames(processed, frameStep, maxPixels);
+    animation = `every-${frameStep}-frames`;
+  }
+
+  // --- Compression ---
+  const candidates = getCandidates(job, outputFormat, isAnimated, metadata.hasAlpha);
+
+  // Anything above this is not worth sending; encodes are abandoned once they pass it.
+  // Large inputs are no longer streamed out: a stream cannot be taken back once it turns out bigger
+  // than the original. Output is held instead, bounded by the original size (already in memory)
+  // unless it has to be kept anyway.
+  const originSize = job.keepOutput ? 0 : job.originSize || (Buffer.isBuffer(input) ? input.length : 0);
+  const savingsLimit = originSize ? Math.floor(originSize * (1 - settings.minSavingsRatio)) : Infinity;
+
+  let best = null;
+  for (const candidate of candidates) {
+    const formatOptions = {
+      ...getFormatOptions(
+        candidate,
+        job.quality,
+        candidate === 'avif' ? optimizeAvifParams(width, height, settings) : {},
+        isAnimated
+      ),
+      ...animationOptions
+    };
+
+    // A later candidate only matters if it beats the best so far
+    const limit = best ? best.data.length - 1 : savingsLimit;
+    const result = job.targetBytes
+      ? await encodeToTarget(processed, candidate, formatOptions, job.targetBytes)
+      : await encodeWithin(processed, candidate, formatOptions, limit);
+
+    if (result && result.data.length <= limit) best = { ...result, format: candidate };
+  }
+
+  return {
+    data: best?.data || null,
+    format: best?.format || outputFormat,
+    quality: best?.quality ?? job.quality,
+    animation,
+    seconds: Number(process.hrtime.bigint() - started) / 1e9
+  };
+}
+
+/**
+ * Whether the input is markup (SVG) rather than an encoded raster image.
+ */
+function isMarkup(input) {
+  return Buffer.isBuffer(input) && input.subarray(0, 64).toString('latin1').trimStart().startsWith('<');
+}
+
+/**
+ * Opens an SVG. It renders at 72 DPI; one larger than `maxDimension` is rendered at a lower
+ * density instead of scaled down afterwards. The size check reads the markup without the pixel
+ * limit (nothing is rendered yet); the render itself is limited as usual.
+ */
+async function openVector(input, maxDimension, maxPixels) {
+  const { width = 0, height = 0 } = await sharp(input, { limitInputPixels: false }).metadata();
+  const longestSide = Math.max(width, height);
+  const density = longestSide > maxDimension ? Math.max((72 * maxDimension) / longestSide, 1) : 72;
+  return sharp(input, { density, limitInputPixels: maxPixels });
+}
+
+/**
+ * Output formats to try. Normally just the requested one; with `candidates` (fmt=auto&smallest=1)
+ * every accepted format that suits the image. Animations are always WebP.
+ */
+function getCandidates(params, outputFormat, isAnimated, hasAlpha) {
+  if (isAnimated || !params?.candidates?.length) return [outputFormat];
+
+  const formats = params.candidates.filter(f => !hasAlpha || ALPHA_FORMATS.has(f));
+  return formats.length ? formats : [outputFormat];
+}
+
+/**
+ * Encodes once, giving up as soon as the output grows past `limit` bytes.
+ * Resolves with { data, info, quality }, or null when the limit was exceeded.
+ */
+function encodeWithin(pipeline, format, options, limit) {
+  return new Promise((resolve, reject) => {
+    const stream = pipeline.clone().toFormat(format, options);
+    const chunks = [];
+    let size = 0;
+    let info = null;
+
+    stream.once('info', (i) => { info = i; });
+    stream.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > limit) {
+        stream.destroy();
+        return resolve(null);
+      }
+      chunks.push(chunk);
+    });
+    stream.once('end', () => {
+      const data = Buffer.concat(chunks, size);
+      resolve({ data, info: info || { size }, quality: options.quality });
+    });
+    stream.once('error', reject);
+  });
+}
+
+/**
+ * Finds the highest quality whose output fits in `targetBytes`.
+ * Starts at the requested quality and binary-searches downwards, bounded by
+ * TARGET_MAX_PASSES encodes and TARGET_TIME_BUDGET_MS. When nothing fits,
+ * the smallest output produced is returned.
+ */
+async function encodeToTarget(pipeline, format, options, targetBytes) {
+  const deadline = Date.now() + TARGET_TIME_BUDGET_MS;
+  const encode = async (quality) => {
+    const result = await pipeline.clone().toFormat(format, { ...options, quality }).toBuffer({ resolveWithObject: true });
+    return { ...result, quality };
+  };
+
+  const first = await encode(options.quality);
+  if (first.data.length <= targetBytes) return first;
+
+  let best = null;
+  let smallest = first;
+  let low = TARGET_MIN_QUALITY;
+  let high = options.quality - 1;
+
+  for (let pass = 1; pass < TARGET_MAX_PASSES && low <= high && Date.now() < deadline; pass++) {
+    const quality = Math.floor((low + high) / 2);
+    const attempt = await encode(quality);
+
+    if (attempt.data.length < smallest.data.length) smallest = attempt;
+
+    if (attempt.data.length <= targetBytes) {
+      best = attempt;
+      low = quality + 1;
+    } else {
+      high = quality - 1;
+    }
+  }
+
+  return best || smallest;
+}
+
+/**
+ * Decides how to re-encode an animation within the frame/pixel budgets.
+ * Returns { still: true } when over budget, else the frame step and per-frame delays
+ * (frames are merged `step` at a time so playback speed is unchanged).
+ */
+function planAnimation(width, height, delays, pages, { animationMaxFrames, animationMaxPixels, animationMaxFps }) {
+  if (pages > animationMaxFrames || width * height * pages > animationMaxPixels) {
+    return { still: true };
+  }
+
+  // Browsers play 0-10ms GIF delays at 100ms
+  const frameDelays = Array.from({ length: pages }, (_, i) => {
+    const delay = Array.isArray(delays) ? delays[i] : undefined;
+    return delay > 10 ? delay : 100;
+  });
+
+  const totalMs = frameDelays.reduce((sum, d) => sum + d, 0);
+  const fps = (pages * 1000) / totalMs;
+  const step = animationMaxFps > 0 && fps > animationMaxFps
+    ? Math.min(Math.ceil(fps / animationMaxFps), pages)
+    : 1;
+
+  const merged = [];
+  for (let i = 0; i < pages; i += step) {
+    merged.push(Math.min(frameDelays.slice(i, i + step).reduce((sum, d) => sum + d, 0), 65535));
+  }
+
+  return { still: false, step, delays: merged };
+}
+
+/**
+ * Keeps every `step`-th frame of an animation.
+ * Decodes to raw once and re-assembles the kept frames as a new multi-page image.
+ */
+async function dropFrames(instance, step, maxPixels) {
+  const { data, info } = await instance.raw().toBuffer({ resolveWithObject: true });
+  const { width, channels, pageHeight } = info;
+  const frameBytes = width * pageHeight * channels;
+  const frameCount = Math.round(data.length / frameBytes);
+
+  const kept = [];
+  for (let i = 0; i < frameCount; i += step) {
+    kept.push(data.subarray(i * frameBytes, (i + 1) * frameBytes));
+  }
+
+  return sharp(Buffer.concat(kept), {
+    raw: { width, height: pageHeight * kept.length, channels, pageHeight },
+    limitInputPixels: maxPixels
+  });
+}
+
+/**
+ * Builds sharp resize options from requested w/h/dpr/fit.
+ * Target size is scaled by DPR and clamped to `maxDimension`; images are never enlarged.
+ */
+function getResizeOptions(params, outputFormat, maxDimension = MAX_DIMENSION) {
+  const { width, height, dpr = 1, fit = 'inside' } = params || {};
+  if (!width && !height) return null;
+
+  const scale = (v) => (v ? clamp(Math.round(v * dpr), 1, maxDimension) : undefined);
+
+  return {
+    width: scale(width),
+    height: scale(height),
+    fit,
+    withoutEnlargement: true,
+    // 'contain' letterboxes; keep the padding transparent unless the format has no alpha
+    background: { r: 255, g: 255, b: 255, alpha: outputFormat === 'jpeg' ? 1 : 0 }
+  };
+}
+
+function clamp(v, min, max) {
+  return Math.min(Math.max(v, min), max);
+}
+
+function optimizeAvifParams(width, height, { avifLargePixels, avifMediumPixels }) {
+  const area = width * height;
+  if (area > avifLargePixels)
+    return { tileRows: 1, tileCols: 1, minQuantizer: 20, maxQuantizer: 40, effort: 3 };
+  if (area > avifMediumPixels)
+    return { tileRows: 1, tileCols: 1, minQuantizer: 28, maxQuantizer: 48, effort: 3 };
+  return { tileRows: 1, tileCols: 1, minQuantizer: 26, maxQuantizer: 46, effort: 4 };
+}
+
+function getFormatOptions(format, quality, avifParams, isAnimated) {
+  const loop = isAnimated ? 0 : undefined;
+  switch (format) {
+    case 'avif':
+      return { quality, bitdepth: 8, chromaSubsampling: '4:2:0', ...avifParams };
+    case 'webp':
+      return { quality, alphaQuality: 80, smartSubsample: true, effort: 4, loop };
+    case 'png':
+      // Palette quantisation is what makes PNG output lossy (and small)
+      return { quality, palette: true, compressionLevel: 9, effort: 7 };
+    case 'jxl':
+      return { quality, effort: 4 };
+    default:
+      return { quality, chromaSubsampling: '4:2:0', mozjpeg: true };
+  }
+}
@@ -0,0 +1,145 @@
+import { Worker } from 'worker_threads';
+import { encode, encodeSettings } from './encode.js';
+import { encodeQueueSeconds, secondsSince } from './metrics.js';
+import defaultConfig from './config.js';
+
+const WORKER_URL = new URL('./encodeWorker.js', import.meta.url);
+
+function poolError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function toBuffer(data) {
+  return data ? Buffer.from(data.buffer, data.byteOffset, data.byteLength) : null;
+}
+
+/**
+ * Builds a bounded encode pool. Sizes and timeouts not given, and the encoder's settings, are `config`'s.
+ *
+ * run(input, job) resolves with encode()'s result. It rejects with
+ * ERR_QUEUE_FULL (queue at `maxQueue`), ERR_QUEUE_TIMEOUT (waited `queueTimeoutMs` for a worker)
+ * or ERR_ENCODE_TIMEOUT (the worker is terminated and replaced). load() is the queue fill
+ * level (0-1), for callers that want to shed work before it is refused.
+ */
+export function createEncodePool({
+  config = defaultConfig,
+  // 0 workers encodes inline on the main thread (serverless functions with one vCPU)
+  size = config.pool.workers,
+  maxQueue = config.pool.queueMax,
+  queueTimeoutMs = config.pool.queueTimeoutMs,
+  taskTimeoutMs = config.compress.processingTimeoutMs
+} = {}) {
+  const settings = encodeSettings(config);
+  const workers = new Set();
+  const idle = [];
+  const queue = [];
+  let nextId = 0;
+  let inlineRunning = 0;
+
+  function settle(worker, settleWith) {
+    const task = worker.task;
+    if (!task) return;
+    worker.task = null;
+    clearTimeout(task.timer);
+    settleWith(task);
+  }
+
+  function spawn() {
+    const worker = new Worker(WORKER_URL, { workerData: { settings } });
+    worker.task = null;
+
+    worker.on('message', ({ result, error }) => {
+      settle(worker, task => (error ? task.reject(new Error(error)) : task.resolve({ ...result, data: toBuffer(result.data) })));
+      release(worker);
+    });
+    worker.on('error', (err) => {
+      settle(worker, task => task.reject(err));
+    });
+    worker.on('exit', () => {
+      workers.delete(worker);
+      const i = idle.indexOf(worker);
+      if (i !== -1) idle.splice(i, 1);
+      settle(worker, task => task.reject(poolError('ERR_WORKER_EXIT', 'Encode worker exited')));
+      // Queued work would otherwise wait for a worker that no longer exists
+      if (queue.length) dispatch(spawn(), queue.shift());
+    });
+
+    // Idle workers must not keep the process alive (listeners re-ref the port, so unref last)
+    worker.unref();
+    workers.add(worker);
+    return worker;
+  }
+
+  function dispatch(worker, task) {
+    clearTimeout(task.queueTimer);
+    if (task.queuedAt) encodeQueueSeconds.observe({}, secondsSince(task.queuedAt));
+
+    worker.task = task;
+    task.timer = setTimeout(() => {
+      settle(worker, t => t.reject(poolError('ERR_ENCODE_TIMEOUT', 'Image processing timeout')));
+      // libvips cannot be interrupted; the thread goes and a fresh one takes its place
+      worker.retired = true;
+      worker.terminate();
+    }, taskTimeoutMs);
+
+    worker.postMessage({ id: task.id, input: task.input, job: task.job });
+  }
+
+  function release(worker) {
+    if (worker.retired) return;
+    if (queue.length) return dispatch(worker, queue.shift());
+    idle.push(worker);
+  }
+
+  async function runInline(input, job) {
+    if (inlineRunning >= Math.max(maxQueue, 1)) {
+      throw poolError('ERR_QUEUE_FULL', 'Encode queue is full');
+    }
+    inlineRunning++;
+    let timer;
+    try {
+      // The encode itself cannot be stopped, but the request stops waiting for it
+      return await Promise.race([
+        encode(input, job, settings),
+        new Promise((resolve, reject) => {
+          timer = setTimeout(() => reject(poolError('ERR_ENCODE_TIMEOUT', 'Image processing timeout')), taskTimeoutMs);
+        })
+      ]);
+    } finally {
+      clearTimeout(timer);
+      inlineRunning--;
+    }
+  }
+
+  return {
+    run(input, job) {
+      if (size === 0) return runInline(input, job);
+
+      return new Promise((resolve, reject) => {
+        const task = { id: nextId++, input, job, resolve, reject };
+
+        const worker = idle.pop() || (workers.size < size ? spawn() : null);
+        if (worker) return dispatch(worker, task);
+
+        if (queue.length >= maxQueue) {
+          return reject(poolError('ERR_QUEUE_FULL', 'Encode queue is full'));
+        }
+
+        task.queuedAt = process.hrtime.bigint();
+        task.queueTimer = setTimeout(() => {
+          const i = queue.indexOf(task);
+          if (i !== -1) queue.splice(i, 1);
+          reject(poolError('ERR_QUEUE_TIMEOUT', 'Timed out waiting for an encode worker'));
+        }, queueTimeoutMs);
+        queue.push(task);
+      });
+    },
+
+    load() {
+      if (size === 0) return inlineRunning / Math.max(maxQueue, 1);
+      return maxQueue ? queue.length / maxQueue : (idle.length || workers.size < size ? 0 : 1);
+    }
+  };
+}
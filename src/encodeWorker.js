@@ -0,0 +1,16 @@
+import { parentPort, workerData } from 'worker_threads';
+import { encode } from './encode.js';
+
+/**
+ * Worker thread entry for encodePool.js: one encode at a time, results posted back by task id.
+ * The pool's encode settings arrive as workerData.
+ */
+parentPort.on('message', async ({ id, input, job }) => {
+  try {
+    const source = typeof input === 'string' ? input : Buffer.from(input.buffer, input.byteOffset, input.byteLength);
+    const result = await encode(source, job, workerData.settings);
+    parentPort.postMessage({ id, result });
+  } catch (err) {
+    parentPort.postMessage({ id, error: err.message });
+  }
+});
@@ -0,0 +1,37 @@
+/**
+ * Forwarding policy: which of the client's identifying headers reach the origin.
+ *
+ * By default the proxy fetches like the browser it stands in for (cookies, referer, user agent,
+ * language). In privacy mode (PRIVACY_MODE) those are dropped and a generic user agent and
+ * language are sent instead; host rules can name headers a site still gets via `"forward"`.
+ * The client IP is only sent (as X-Forwarded-For) with FORWARD_CLIENT_IP, and never in privacy mode.
+ * Neither is the request ID: a client-supplied X-Request-Id would follow it from site to site.
+ */
+
+// --- Constants ---
+export const FORWARDABLE_HEADERS = ['cookie', 'referer', 'authorization', 'user-agent', 'accept-language'];
+
+const GENERIC_USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) Chrome/128 Safari/537.36';
+const GENERIC_LANGUAGE = 'en-US,en;q=0.9';
+
+/**
+ * Identity headers to send upstream for this request (undefined values are left out by got).
+ * Expects req.params.hostRule from the params middleware.
+ */
+export function forwardedHeaders(req) {
+  const { enabled: privacyMode, forwardClientIp } = req.context.config.privacy;
+  const allowed = privacyMode ? new Set(req.params?.hostRule?.forward) : null;
+  const pick = (name) => (!allowed || allowed.has(name) ? req.headers[name] : undefined);
+
+  return {
+    cookie: pick('cookie'),
+    referer: pick('referer'),
+    // Credentials that authenticated against this proxy are never passed on to origins
+    authorization: req.user ? undefined : pick('authorization'),
+    'user-agent': pick('user-agent') || GENERIC_USER_AGENT,
+    'accept-language': pick('accept-language') || GENERIC_LANGUAGE,
+    'x-forwarded-for': forwardClientIp && !privacyMode ? req.ip : undefined,
+    // Lets origins behind us correlate their logs with ours
+    'x-request-id': privacyMode ? undefined : req.id
+  };
+}
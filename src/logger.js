@@ -0,0 +1,136 @@
+import crypto from 'crypto';
+import { AsyncLocalStorage } from 'async_hooks';
+import defaultConfig from './config.js';
+
+/**
+ * Structured logging: one JSON object per line (warnings and errors on stderr).
+ * Inside a request every line carries its `requestId`; fields added with annotate()
+ * end up in the request's summary line. The level is the default configuration's, except
+ * inside a request, where it is that of the config given to requestLogger().
+ */
+
+// --- Constants ---
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const THRESHOLD = LEVELS[defaultConfig.logging.level];
+const REDACTED = '[REDACTED]';
+const SENSITIVE_HEADERS = new Set(['cookie', 'set-cookie', 'authorization', 'proxy-authorization']);
+
+// Incoming IDs are echoed in headers and logs, so only accept a conservative charset
+const REQUEST_ID_PATTERN = /^[\w.:@-]{1,128}$/;
+
+const context = new AsyncLocalStorage();
+
+/**
+ * Strips credentials, query string and fragment from a URL (tokens often live there).
+ */
+export function redactUrl(value) {
+  if (!value) return value;
+  try {
+    const url = new URL(value);
+    const hadQuery = Boolean(url.search);
+    url.username = '';
+    url.password = '';
+    url.search = '';
+    url.hash = '';
+    return hadQuery ? `${url.href}?${REDACTED}` : url.href;
+  } catch {
+    return REDACTED;
+  }
+}
+
+/**
+ * Copy of a header object with cookies and credentials masked.
+ */
+export function redactHeaders(headers = {}) {
+  const redacted = {};
+  for (const [name, value] of Object.entries(headers)) {
+    if (value === undefined) continue;
+    redacted[name] = SENSITIVE_HEADERS.has(name.toLowerCase()) ? REDACTED : value;
+  }
+  return redacted;
+}
+
+function serialize(fields, threshold) {
+  const { err, ...rest } = fields;
+  if (!err) return rest;
+  return {
+    ...rest,
+    error: err.message,
+    code: err.code,
+    stack: threshold <= LEVELS.debug ? err.stack : undefined
+  };
+}
+
+function write(level, msg, fields = {}, store = context.getStore()) {
+  const threshold = store?.threshold ?? THRESHOLD;
+  if (LEVELS[level] < threshold) return;
+
+  const line = JSON.stringify({
+    time: new Date().toISOString(),
+    level,
+    msg,
+    requestId: store?.id,
+    ...serialize(fields, threshold)
+  });
+
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(`${line}\n`);
+}
+
+const logger = {
+  debug: (msg, fields) => write('debug', msg, fields),
+  info: (msg, fields) => write('info', msg, fields),
+  warn: (msg, fields) => write('warn', msg, fields),
+  error: (msg, fields) => write('error', msg, fields)
+};
+
+export default logger;
+
+/**
+ * Adds fields to the current request's summary line (no-op outside a request).
+ */
+export function annotate(fields) {
+  const store = context.getStore();
+  if (store) Object.assign(store.fields, fields);
+}
+
+/**
+ * Middleware: assigns the request ID (reusing a well-formed incoming X-Request-Id), echoes it
+ * in the response and, with `summary`, logs one line per request when the response ends.
+ * Lines logged while handling the request use `config`'s level.
+ */
+export function requestLogger({ config = defaultConfig, summary = config.logging.requests } = {}) {
+  const threshold = LEVELS[config.logging.level];
+
+  return function logRequests(req, res, next) {
+    // Already assigned further up (an app wrapping a router that logs too)
+    if (req.id) return next();
+
+    const incoming = req.headers['x-request-id'];
+    const id = typeof incoming === 'string' && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+    const store = { id, fields: {}, threshold };
+    const started = process.hrtime.bigint();
+
+    req.id = id;
+    res.setHeader('X-Request-Id', id);
+
+    if (summary) {
+      res.once('close', () => {
+        const status = res.statusCode;
+        write(status >= 500 ? 'warn' : 'info', 'request', {
+          method: req.method,
+          path: req.path,
+          status,
+          aborted: !res.writableFinished || undefined,
+          durationMs: Math.round(Number(process.hrtime.bigint() - started) / 1e6),
+          ip: req.ip,
+          user: req.user?.name,
+          cache: res.getHeader('x-proxy-cache'),
+          ...store.fields
+        }, store);
+      });
+    }
+
+    context.run(store, next);
+  };
+}
@@ -0,0 +1,210 @@
+import crypto from 'crypto';
+import { annotate } from './logger.js';
+
+/**
+ * Minimal Prometheus text-format registry (counters and histograms).
+ * Values are per process; scrape each instance separately.
+ */
+
+// --- Registry ---
+const registry = [];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function labelKey(labelNames, labels = {}) {
+  return labelNames.map(name => labels[name] ?? '').join('\u0000');
+}
+
+function formatLabels(labelNames, key, extra = '') {
+  const values = key.split('\u0000');
+  const parts = labelNames.map((name, i) => `${name}="${escapeLabel(values[i])}"`);
+  if (extra) parts.push(extra);
+  return parts.length ? `{${parts.join(',')}}` : '';
+}
+
+function counter(name, help, labelNames = []) {
+  const values = new Map();
+  const metric = {
+    inc(labels, amount = 1) {
+      if (!Number.isFinite(amount) || amount < 0) return;
+      const key = labelKey(labelNames, labels);
+      values.set(key, (values.get(key) || 0) + amount);
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+      for (const [key, value] of values) lines.push(`${name}${formatLabels(labelNames, key)} ${value}`);
+      return lines.join('\n');
+    }
+  };
+  registry.push(metric);
+  return metric;
+}
+
+function histogram(name, help, buckets, labelNames = []) {
+  const series = new Map();
+  const metric = {
+    observe(labels, value) {
+      if (!Number.isFinite(value)) return;
+      const key = labelKey(labelNames, labels);
+      let s = series.get(key);
+      if (!s) {
+        s = { counts: new Array(buckets.length).fill(0), sum: 0, count: 0 };
+        series.set(key, s);
+      }
+      for (let i = 0; i < buckets.length; i++) {
+        if (value <= buckets[i]) s.counts[i]++;
+      }
+      s.sum += value;
+      s.count++;
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+      for (const [key, s] of series) {
+        buckets.forEach((le, i) => {
+          lines.push(`${name}_bucket${formatLabels(labelNames, key, `le="${le}"`)} ${s.counts[i]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels(labelNames, key, 'le="+Inf"')} ${s.count}`);
+        lines.push(`${name}_sum${formatLabels(labelNames, key)} ${s.sum}`);
+        lines.push(`${name}_count${formatLabels(labelNames, key)} ${s.count}`);
+      }
+      return lines.join('\n');
+    }
+  };
+  registry.push(metric);
+  return metric;
+}
+
+// --- Metrics ---
+const SECONDS_BUCKETS = [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+// Input label values for conversions; any other content type counts as "other"
+const CONVERSION_INPUTS = new Set([
+  'image/jpeg', 'image/png', 'image/gif', 'image/webp', 'image/avif', 'image/bmp',
+  'image/tiff', 'image/heic', 'image/heif', 'image/jxl', 'image/svg+xml'
+]);
+const INPUT_ALIASES = { 'image/jpg': 'image/jpeg', 'image/pjpeg': 'image/jpeg', 'image/x-png': 'image/png' };
+
+export const requests = counter(
+  'bandwidth_hero_requests_total',
+  'Proxied image requests by outcome (compressed, bypassed, redirected, not_modified, cache_hit, coalesced, error).',
+  ['outcome']
+);
+export const skips = counter(
+  'bandwidth_hero_compress_skips_total',
+  'Images passed through uncompressed, by shouldCompress reason.',
+  ['reason']
+);
+export const conversions = counter(
+  'bandwidth_hero_conversions_total',
+  'Compressed images by input content type (a fixed set, else "other") and output format.',
+  ['input', 'output']
+);
+export const bytesIn = counter('bandwidth_hero_bytes_in_total', 'Bytes received from origins for served responses.');
+export const bytesOut = counter('bandwidth_hero_bytes_out_total', 'Body bytes sent to clients.');
+export const bytesSaved = counter('bandwidth_hero_bytes_saved_total', 'Bytes saved versus the original (never negative).');
+export const cacheLookups = counter(
+  'bandwidth_hero_cache_lookups_total',
+  'Result cache lookups (hit, miss, revalidated, coalesced).',
+  ['result']
+);
+export const upstreamEvents = counter(
+  'bandwidth_hero_upstream_events_total',
+  'Upstream retries and failures by event (retry, short_circuit, challenge, error_status).',
+  ['event']
+);
+export const upstreamSeconds = histogram(
+  'bandwidth_hero_upstream_fetch_seconds',
+  'Time to download the original image from the origin.',
+  SECONDS_BUCKETS
+);
+export const encodeSeconds = histogram(
+  'bandwidth_hero_encode_seconds',
+  'Time spent decoding and re-encoding an image, by output format.',
+  SECONDS_BUCKETS,
+  ['format']
+);
+export const encodeQueueSeconds = histogram(
+  'bandwidth_hero_encode_queue_seconds',
+  'Time an image waited for a free encode worker.',
+  SECONDS_BUCKETS
+);
+export const overloads = counter(
+  'bandwidth_hero_encode_overloads_total',
+  'Encodes affected by pool overload, by action (degraded, rejected, timeout).',
+  ['action']
+);
+
+/**
+ * Counts a finished request by outcome (and reports it in the request's log line).
+ */
+export function recordOutcome(outcome) {
+  requests.inc({ outcome });
+  annotate({ outcome });
+}
+
+/**
+ * Counts a compressed image. The input type comes from the origin, so it is mapped onto a fixed
+ * set of label values.
+ */
+export function recordConversion(originType, output) {
+  const type = String(originType || '').split(';')[0].trim().toLowerCase();
+  const input = INPUT_ALIASES[type] || type;
+  conversions.inc({ input: CONVERSION_INPUTS.has(input) ? input : 'other', output });
+}
+
+/**
+ * Records the byte accounting for a response body sent to the client.
+ */
+export function recordTransfer(originSize, sentSize) {
+  annotate({ originBytes: originSize || 0, sentBytes: sentSize || 0 });
+  bytesIn.inc({}, originSize || 0);
+  bytesOut.inc({}, sentSize || 0);
+  bytesSaved.inc({}, Math.max((originSize || 0) - (sentSize || 0), 0));
+}
+
+/**
+ * Seconds elapsed since a process.hrtime.bigint() start mark.
+ */
+export function secondsSince(start) {
+  return Number(process.hrtime.bigint() - start) / 1e9;
+}
+
+/**
+ * Renders all metrics in Prometheus text exposition format.
+ */
+export function renderMetrics() {
+  const { rss, heapUsed } = process.memoryUsage();
+  const processLines = [
+    '# HELP bandwidth_hero_process_resident_memory_bytes Resident memory size in bytes.',
+    '# TYPE bandwidth_hero_process_resident_memory_bytes gauge',
+    `bandwidth_hero_process_resident_memory_bytes ${rss}`,
+    '# HELP bandwidth_hero_process_heap_used_bytes V8 heap in use in bytes.',
+    '# TYPE bandwidth_hero_process_heap_used_bytes gauge',
+    `bandwidth_hero_process_heap_used_bytes ${heapUsed}`,
+    '# HELP bandwidth_hero_process_uptime_seconds Process uptime in seconds.',
+    '# TYPE bandwidth_hero_process_uptime_seconds gauge',
+    `bandwidth_hero_process_uptime_seconds ${process.uptime()}`
+  ];
+  return `${[...registry.map(m => m.render()), ...processLines].join('\n')}\n`;
+}
+
+/**
+ * Express handler for GET /metrics.
+ * When METRICS_TOKEN is set, scrapers must send `Authorization: Bearer <token>`.
+ */
+export default function metricsHandler(req, res) {
+  const { token } = req.context.config.metrics;
+  if (token) {
+    const expected = Buffer.from(`Bearer ${token}`);
+    const actual = Buffer.from(String(req.headers.authorization || ''));
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+      return res.status(401).end('Access denied');
+    }
+  }
+
+  res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-store');
+  res.status(200).end(renderMetrics());
+}
@@ -0,0 +1,123 @@
+import sharp from 'sharp';
+
+// --- Constants ---
+const KNOWN_FORMATS = new Set(['auto', 'avif', 'webp', 'jpeg', 'png', 'jxl']);
+const FORMAT_ALIASES = { jpg: 'jpeg' };
+
+// Order in which 'auto' prefers formats the client explicitly accepts.
+// PNG is never picked automatically: it is lossless and rarely smaller.
+const AUTO_PREFERENCE = ['avif', 'jxl', 'webp'];
+const FALLBACK_FORMAT = 'jpeg';
+
+// Types every client renders, whatever it accepts
+const BASELINE_TYPES = new Set(['image/jpeg', 'image/png', 'image/gif']);
+
+// libvips reports AVIF support under its HEIF container
+const SHARP_FORMAT_NAMES = { avif: 'heif' };
+
+// Formats that can carry an alpha channel (JPEG flattens transparency)
+export const ALPHA_FORMATS = new Set(['avif', 'webp', 'png', 'jxl']);
+
+/**
+ * Checks whether the bundled libvips can encode the given format to a buffer.
+ * JPEG XL in particular is only present in custom libvips builds.
+ */
+function canEncode(format) {
+  return Boolean(sharp.format[SHARP_FORMAT_NAMES[format] || format]?.output?.buffer);
+}
+
+const ENCODABLE_FORMATS = new Set([...KNOWN_FORMATS].filter(f => f === 'auto' || canEncode(f)));
+
+/**
+ * Parses an Accept header into a Map of media type -> q value.
+ * Only explicit types are kept; wildcards say nothing about decoder support.
+ */
+function parseAccept(header) {
+  const accepted = new Map();
+  if (typeof header !== 'string') return accepted;
+
+  for (const part of header.split(',')) {
+    const [type, ...paramsList] = part.trim().toLowerCase().split(';');
+    if (!type || type.includes('*')) continue;
+
+    let q = 1;
+    for (const param of paramsList) {
+      const [key, value] = param.trim().split('=');
+      if (key === 'q') {
+        const n = parseFloat(value);
+        q = Number.isFinite(n) ? n : 0;
+      }
+    }
+    accepted.set(type, q);
+  }
+  return accepted;
+}
+
+/**
+ * Picks the best output format the client says it can decode.
+ * Falls back to JPEG, which every browser renders.
+ */
+export function negotiateFormat(acceptHeader) {
+  const accepted = parseAccept(acceptHeader);
+
+  for (const format of AUTO_PREFERENCE) {
+    if (!ENCODABLE_FORMATS.has(format)) continue;
+    if ((accepted.get(`image/${format}`) || 0) > 0) return format;
+  }
+  return FALLBACK_FORMAT;
+}
+
+/**
+ * Lists every format the client can decode, best first (always ending with JPEG).
+ * Used as the candidate set when the smallest output is wanted.
+ */
+export function acceptedFormats(acceptHeader) {
+  const accepted = parseAccept(acceptHeader);
+  const formats = AUTO_PREFERENCE.filter(
+    format => ENCODABLE_FORMATS.has(format) && (accepted.get(`image/${format}`) || 0) > 0
+  );
+  return [...formats, FALLBACK_FORMAT];
+}
+
+/**
+ * Whether an image of MIME `type` can be sent in place of the `requested` format: a baseline
+ * type, the requested format itself, or (for negotiated requests, which vary on Accept anyway)
+ * a type the Accept header lists.
+ */
+export function isAcceptedType(type, requested, acceptHeader = null) {
+  const mime = String(type || '').split(';')[0].trim().toLowerCase();
+  if (BASELINE_TYPES.has(mime) || mime === `image/${requested}`) return true;
+  return acceptHeader !== null && (parseAccept(acceptHeader).get(mime) || 0) > 0;
+}
+
+/**
+ * Normalizes a requested `fmt` value.
+ * Returns the format name, 'auto', or null when the value is not a known format.
+ * Known formats this libvips build cannot encode degrade to 'auto'.
+ */
+export function parseFormat(value) {
+  if (Array.isArray(value)) value = value[0];
+  if (value === undefined || value === '') return 'auto';
+
+  let str = String(value).trim().toLowerCase();
+  str = FORMAT_ALIASES[str] || str;
+
+  if (!KNOWN_FORMATS.has(str)) return null;
+  return ENCODABLE_FORMATS.has(str) ? str : 'auto';
+}
+
+/**
+ * Appends a field to the response's Vary header without duplicating it.
+ */
+export function appendVary(res, field) {
+  const current = res.getHeader('Vary');
+  const fields = current
+    ? String(current).split(',').map(f => f.trim()).filter(Boolean)
+    : [];
+
+  if (fields.includes('*')) return;
+  if (fields.some(f => f.toLowerCase() === field.toLowerCase())) return;
+
+  fields.push(field);
+  res.setHeader('Vary', fields.join(', '));
+}
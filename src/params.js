@@ -1,15 +1,14 @@
 import validator from 'validator';
+import { acceptedFormats, negotiateFormat, parseFormat } from './negotiate.js';
+import { ACCEPT_CH, readHints, applyClientHints } from './clientHints.js';
+import logger, { annotate, redactUrl } from './logger.js';
 
-// Utility to safely clamp integer values
-const clampInt = (value, fallback, min, max) => {
-  const n = parseInt(value, 10);
-  return Number.isNaN(n) ? fallback : Math.min(Math.max(n, min), max);
-};
-
-// Constants
-const DEFAULT_QUALITY = clampInt(process.env.DEFAULT_QUALITY, 40, 10, 100);
-const MAX_QUALITY = clampInt(process.env.MAX_QUALITY, 100, 10, 100);
-const MIN_QUALITY = clampInt(process.env.MIN_QUALITY, 10, 1, 100);
+// Constants (the configurable ones are read from req.context.config.params)
+const MAX_DPR = 4;
+const FIT_MODES = new Set(['inside', 'cover', 'contain']);
+const MIN_TARGET_BYTES = 512;
+const MAX_TARGET_BYTES = 50 * 1024 * 1024;
+const MAX_CANDIDATES = 3;
 
 /**
  * Normalizes a URL safely.
@@ -76,6 +75,116 @@ function parseQuality(q, defaultValue, min, max) {
   return n;
 }
 
+/**
+ * Parses a target dimension (w/h) in CSS pixels, capped at `max`. Returns null when absent or invalid.
+ */
+function parseDimension(value, max) {
+  if (Array.isArray(value)) value = value[0];
+  const n = parseInt(value, 10);
+  if (Number.isNaN(n) || n <= 0) return null;
+  return Math.min(n, max);
+}
+
+/**
+ * Parses device pixel ratio, rounded to 0.25 steps to keep output variants bounded.
+ */
+function parseDpr(value) {
+  if (Array.isArray(value)) value = value[0];
+  const n = parseFloat(value);
+  if (!Number.isFinite(n) || n <= 0) return 1;
+  return Math.min(Math.max(Math.round(n * 4) / 4, 1), MAX_DPR);
+}
+
+/**
+ * Parses resize fit mode; defaults to 'inside' (never crops).
+ */
+function parseFit(value) {
+  if (Array.isArray(value)) value = value[0];
+  const str = String(value ?? '').trim().toLowerCase();
+  return FIT_MODES.has(str) ? str : 'inside';
+}
+
+/**
+ * Parses a byte budget (maxBytes). Returns null when absent or invalid.
+ */
+function parseMaxBytes(value) {
+  if (Array.isArray(value)) value = value[0];
+  const n = parseInt(value, 10);
+  if (Number.isNaN(n) || n <= 0) return null;
+  return Math.min(Math.max(n, MIN_TARGET_BYTES), MAX_TARGET_BYTES);
+}
+
+/**
+ * Parses a size ratio relative to the original (0 < ratio < 1). Returns null when absent or invalid.
+ */
+function parseRatio(value) {
+  if (Array.isArray(value)) value = value[0];
+  const n = parseFloat(value);
+  if (!Number.isFinite(n) || n <= 0 || n >= 1) return null;
+  return Math.round(n * 100) / 100 || 0.01;
+}
+
+/**
+ * Reads the transform settings (format, quality, size...) from the query into req.params.
+ * Shared by GET / and POST /compress; returns false after sending an error response.
+ */
+function readTransform(req, res, url, hostRule) {
+  const settings = req.context.config.params;
+
+  // Output format: host rule wins, then explicit fmt, legacy `jpeg` flag next, else negotiate via Accept
+  let format = hostRule?.format || parseFormat(req.query.fmt);
+  if (!format) {
+    res.status(400).json({
+      error: 'Invalid fmt. Use auto, avif, webp, jpeg, png or jxl.',
+    });
+    return false;
+  }
+  if (!hostRule?.format && req.query.fmt === undefined && req.query.jpeg) format = 'jpeg';
+
+  const negotiated = format === 'auto';
+  if (negotiated) format = negotiateFormat(req.headers.accept);
+
+  const userDefaults = req.user?.defaults || {};
+
+  // Safe params extraction
+  req.params = {
+    ...req.params,
+    url,
+    format,
+    negotiated,
+    // Precedence: host rule > query > authenticated user's defaults > global defaults
+    grayscale: hostRule?.grayscale ?? parseBoolean(req.query.bw, userDefaults.grayscale ?? true),
+    quality: hostRule?.quality ?? parseQuality(req.query.l, userDefaults.quality ?? settings.defaultQuality, settings.minQuality, settings.maxQuality),
+    width: parseDimension(req.query.w, settings.maxTargetDimension),
+    height: parseDimension(req.query.h, settings.maxTargetDimension),
+    dpr: parseDpr(req.query.dpr),
+    fit: parseFit(req.query.fit),
+    maxBytes: parseMaxBytes(req.query.maxBytes),
+    ratio: parseRatio(req.query.ratio),
+    // With fmt=auto, optionally encode up to three accepted formats and keep the smallest
+    candidates: negotiated && parseBoolean(req.query.smallest, settings.pickSmallest)
+      ? acceptedFormats(req.headers.accept).slice(0, MAX_CANDIDATES)
+      : null,
+    hostRule,
+    // Request headers the output depends on (appended to Vary by the proxy)
+    vary: negotiated ? ['Accept'] : [],
+  };
+
+  // Save-Data / Client Hints fill in whatever was not pinned by a host rule, the query or the user
+  if (settings.clientHints) {
+    res.setHeader('Accept-CH', ACCEPT_CH);
+    const { params: hinted, vary } = applyClientHints(req.params, readHints(req), {
+      quality: hostRule?.quality != null || req.query.l !== undefined || userDefaults.quality !== undefined,
+      grayscale: hostRule?.grayscale != null || req.query.bw !== undefined || userDefaults.grayscale !== undefined,
+      dpr: req.query.dpr !== undefined,
+      size: req.params.width !== null || req.params.height !== null,
+    }, { min: settings.minQuality, max: settings.maxQuality });
+    req.params = { ...hinted, vary: [...req.params.vary, ...vary] };
+  }
+
+  return true;
+}
+
 /**
  * Main middleware to validate and prepare query parameters.
  */
@@ -89,7 +198,7 @@ function params(req, res, next) {
     }
 
     if (Array.isArray(url)) {
-      console.warn('[Params] Multiple URLs provided; using the first.');
+      logger.debug('[Params] Multiple URLs provided; using the first');
       url = url[0];
     }
 
@@ -103,24 +212,39 @@ function params(req, res, next) {
     // Normalize and validate
     url = normalizeUrl(url);
     if (!isValidUrl(url)) {
-      console.error('[Params] Invalid URL:', url);
+      logger.debug('[Params] Invalid URL', { url: redactUrl(url) });
       return res.status(400).json({
         error: 'Invalid URL. Ensure it includes a valid protocol and domain.',
       });
     }
 
-    // Safe params extraction
-    req.params = {
-      ...req.params,
-      url,
-      webp: !req.query.jpeg,
-      grayscale: parseBoolean(req.query.bw, true),
-      quality: parseQuality(req.query.l, DEFAULT_QUALITY, MIN_QUALITY, MAX_QUALITY),
-    };
+    // Per-host rules (RULES_FILE): deny outright, or force settings below
+    const hostRule = req.context.rules.getHostRule(url);
+    if (hostRule?.action === 'deny') {
+      return res.status(403).json({ error: 'Images from this host are not allowed.' });
+    }
+
+    annotate({ url: redactUrl(url) });
+    if (!readTransform(req, res, url, hostRule)) return;
+
+    return next();
+  } catch (err) {
+    logger.error('[Params] Middleware error', { err });
+    if (!res.headersSent)
+      res.status(500).json({ error: 'Internal server error in params middleware.' });
+  }
+}
 
+/**
+ * Params middleware for uploads (POST /compress): the same transform settings, no URL or host rule.
+ */
+export function uploadParams(req, res, next) {
+  try {
+    if (!readTransform(req, res, null, null)) return;
+    req.params.upload = true;
     return next();
   } catch (err) {
-    console.error('[Params Middleware Error]', err);
+    logger.error('[Params] Middleware error', { err });
     if (!res.headersSent)
       res.status(500).json({ error: 'Internal server error in params middleware.' });
   }
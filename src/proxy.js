@@ -1,16 +1,29 @@
+import crypto from 'crypto';
 import got from 'got';
-import http2wrapper from 'http2-wrapper';
 import shouldCompress from './shouldCompress.js';
 import redirect from './redirect.js';
 import compress from './compress.js';
-import bypass from './bypass.js';
+import bypass, { bypassStream } from './bypass.js';
+import processSvg, { isSvg } from './svg.js';
 import copyHeaders from './copyHeaders.js';
+import { cacheLookups, recordTransfer, recordOutcome, secondsSince, upstreamEvents, upstreamSeconds } from './metrics.js';
+import { appendVary } from './negotiate.js';
+import logger, { annotate, redactHeaders, redactUrl } from './logger.js';
+import { sendCached, isFresh } from './cache.js';
+import { getValidators, computeEtag, isNotModified, applyRevalidation, sendNotModified } from './conditional.js';
+import { forwardedHeaders } from './forwarding.js';
 
-const CLOUDFLARE_STATUS_CODES = new Set([403, 503]);
+// Transient upstream failures worth another attempt (challenges excepted, see isChallenge)
+const RETRY_STATUS_CODES = new Set([408, 429, 500, 502, 503, 504, 520, 521, 522, 523, 524]);
+const RETRY_ERROR_CODES = new Set(['ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'EPIPE', 'ENETUNREACH', 'EHOSTUNREACH', 'EAI_AGAIN']);
+const RETRY_MAX_DELAY_MS = 5000; // also the longest Retry-After we wait for
+
+// Shared with followers of a coalesced request whose leader was sent to the original
+const REDIRECTED = { redirect: true };
 
 // --- Utility: Fast Content Type Detection ---
 // Direct byte comparison is 10x+ faster than .toString('hex')
-function detectContentType(buffer) {
+export function detectContentType(buffer) {
   if (!Buffer.isBuffer(buffer) || buffer.length < 4) return 'application/octet-stream';
 
   // 1. Image Magic Numbers
@@ -28,7 +41,7 @@ function detectContentType(buffer) {
   // Optimization: Only convert small chunk to string
   const startStr = buffer.subarray(0, 512).toString('utf8').trimStart();
   
-  if (startStr.startsWith('<?xml')) return 'application/xml';
+  if (startStr.startsWith('<?xml')) return /<svg[\s>]/.test(startStr) ? 'image/svg+xml' : 'application/xml';
   if (startStr.startsWith('<svg') || startStr.includes('<!DOCTYPE svg')) return 'image/svg+xml';
   if (startStr.startsWith('<!DOCTYPE html') || startStr.startsWith('<html')) return 'text/html';
 
@@ -41,6 +54,142 @@ function detectContentType(buffer) {
   return 'application/octet-stream';
 }
 
+function bodyTooLarge(size, limit) {
+  const error = new Error(`Origin body exceeds ${limit} bytes (${size})`);
+  error.code = 'ERR_BODY_LARGE';
+  return error;
+}
+
+// Bot-protection interstitials (Cloudflare and the like): the host is up, only a browser gets through
+function isChallenge({ statusCode, headers }) {
+  if (headers['cf-mitigated'] === 'challenge') return true;
+  return (statusCode === 403 || statusCode === 503)
+    && /cloudflare/i.test(headers.server || '')
+    && String(headers['content-type'] || '').startsWith('text/html');
+}
+
+function isTransientError(error) {
+  return RETRY_ERROR_CODES.has(error.code);
+}
+
+function originHost(url) {
+  try {
+    return new URL(url).host.toLowerCase();
+  } catch {
+    return url;
+  }
+}
+
+// Full-jitter exponential backoff from `baseMs`; a short enough Retry-After wins. null: not worth waiting.
+function retryDelay(attempt, retryAfter, baseMs) {
+  if (retryAfter !== undefined) {
+    const seconds = Number(retryAfter);
+    const ms = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(retryAfter) - Date.now();
+    if (ms > RETRY_MAX_DELAY_MS) return null;
+    if (ms >= 0) return ms;
+  }
+  return Math.random() * Math.min(RETRY_MAX_DELAY_MS, baseMs * 2 ** attempt);
+}
+
+// --- Upstream Streaming ---
+// Resolves once response headers arrive, so size and type can be checked before any body is read.
+function openUpstream(url, options) {
+  return new Promise((resolve, reject) => {
+    const stream = got.stream(url, options);
+    stream.once('response', response => resolve({ stream, response }));
+    stream.once('error', reject);
+  });
+}
+
+// openUpstream() with up to `retries` further attempts (UPSTREAM_RETRIES) on transient errors and
+// statuses. The last response is returned whatever its status; stops early once the client is gone.
+async function openWithRetry(url, options, res, { retries, retryDelayMs }) {
+  for (let attempt = 0; ; attempt++) {
+    let opened = null;
+    let error = null;
+    try {
+      opened = await openUpstream(url, options);
+    } catch (err) {
+      error = err;
+    }
+
+    const retryable = error
+      ? isTransientError(error)
+      : RETRY_STATUS_CODES.has(opened.response.statusCode) && !isChallenge(opened.response);
+    const delay = retryable && attempt < retries && !res.destroyed
+      ? retryDelay(attempt, opened?.response.headers['retry-after'], retryDelayMs)
+      : null;
+
+    if (delay === null) {
+      if (error) throw error;
+      return opened;
+    }
+
+    opened?.stream.destroy();
+    upstreamEvents.inc({ event: 'retry' });
+    logger.debug('Retrying upstream request', {
+      url: redactUrl(url),
+      attempt: attempt + 1,
+      status: opened?.response.statusCode,
+      err: error ?? undefined
+    });
+    await new Promise(resolve => setTimeout(resolve, delay));
+  }
+}
+
+function bodyAborted() {
+  const error = new Error('Origin body closed before it ended');
+  error.code = 'ERR_BODY_ABORTED';
+  return error;
+}
+
+// Buffers the body, aborting as soon as it grows past the cap
+// (Content-Length can be missing or wrong, and decompression inflates it).
+// A stream destroyed without an error (the client went away) rejects too, on 'close'.
+function readBody(stream, limit) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    stream.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > limit) {
+        stream.destroy();
+        return reject(bodyTooLarge(size, limit));
+      }
+      chunks.push(chunk);
+    });
+    stream.once('end', () => resolve(Buffer.concat(chunks, size)));
+    stream.once('error', reject);
+    stream.once('close', () => reject(bodyAborted()));
+  });
+}
+
+// Image types (and unlabeled bodies, which need magic-number sniffing) are buffered; the rest is piped.
+function needsBuffering(contentType) {
+  return !contentType || contentType === 'application/octet-stream' || contentType.startsWith('image/');
+}
+
+// --- Cached Response (honours client conditionals) ---
+// `source` is HIT for the cache, COALESCED for a result shared by a concurrent identical request
+function serveCached(req, res, entry, source = 'HIT') {
+  const { etag, 'last-modified': lastModified } = entry.headers;
+  if (isNotModified(req, etag, lastModified)) {
+    res.setHeader('x-proxy-cache', source);
+    recordOutcome('not_modified');
+    return sendNotModified(res, entry.headers);
+  }
+  recordOutcome(source === 'HIT' ? 'cache_hit' : 'coalesced');
+  recordTransfer(Number(entry.headers['x-original-size']) || entry.body.length, entry.body.length);
+  return sendCached(res, entry, source);
+}
+
+// Requests only coalesce when the origin would see the same credentials
+function flightKey(key, req) {
+  const { cookie = '', authorization = '' } = forwardedHeaders(req);
+  const forwarded = `${cookie}\n${authorization}`;
+  return `${key}:${crypto.createHash('sha256').update(forwarded).digest('base64url')}`;
+}
+
 // --- Main Proxy ---
 export default async function proxy(req, res) {
   const targetUrl = req?.params?.url;
@@ -48,42 +197,152 @@ export default async function proxy(req, res) {
     return res.status(400).json({ error: 'Missing URL parameter' });
   }
 
-  // Extract allowed headers only
-  const { cookie, referer, authorization, 'user-agent': userAgent } = req.headers;
+  const { cache, flights } = req.context;
 
-  const config = {
+  // --- Cache Lookup ---
+  const key = cache.key(req.params);
+  const cached = await cache.get(key);
+  if (cached && isFresh(cached)) {
+    cacheLookups.inc({ result: 'hit' });
+    return serveCached(req, res, cached);
+  }
+
+  // --- Coalescing ---
+  // Followers replay the leader's response. When it could not be shared (streamed, per-client,
+  // or the leader's client disconnected) they fetch for themselves. A leader whose client goes
+  // away detaches at once, so followers never wait on a download nobody is reading.
+  const { value: shared, leader } = await flights.run(flightKey(key, req), (detach) => {
+    res.once('close', () => {
+      if (!res.writableFinished) detach();
+    });
+    return fetchAndServe(req, res, key, cached);
+  });
+  if (leader || res.headersSent || res.destroyed) return;
+
+  if (shared?.entry) {
+    cacheLookups.inc({ result: 'coalesced' });
+    return serveCached(req, res, shared.entry, 'COALESCED');
+  }
+  if (shared === REDIRECTED) return redirect(req, res);
+
+  return fetchAndServe(req, res, key, cached);
+}
+
+// --- Origin Fetch ---
+// Serves this request from the origin. Resolves with what concurrent identical requests may reuse:
+// { entry } for a replayable response, REDIRECTED when the origin failed, else null.
+async function fetchAndServe(req, res, key, cached) {
+  const { config, cache, breaker, egress, ssrf } = req.context;
+  const targetUrl = req.params.url;
+  const host = originHost(targetUrl);
+
+  // Largest origin body we accept (buffered or piped). Same limit bypass() enforces.
+  const maxOriginSize = config.upstream.maxBodyBytes;
+
+  if (!breaker.allow(host)) {
+    upstreamEvents.inc({ event: 'short_circuit' });
+    annotate({ circuit: 'open' });
+    redirect(req, res);
+    return REDIRECTED;
+  }
+
+  const gotOptions = {
     headers: {
-      cookie,
-      referer,
-      authorization,
-      'user-agent': userAgent || 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) Chrome/128 Safari/537.36',
+      // Client identity, as far as the forwarding policy allows (see forwarding.js)
+      ...forwardedHeaders(req),
       'accept': req.headers['accept'] || 'image/avif,image/webp,image/*;q=0.8,*/*;q=0.5',
-      'accept-encoding': 'gzip, deflate, br', // Let GOT handle decompression
-      'accept-language': req.headers['accept-language'] || 'en-US,en;q=0.9'
+      'accept-encoding': 'gzip, deflate, br' // Let GOT handle decompression
     },
-    timeout: { 
-      request: 15000, 
-      response: 20000 
+    timeout: {
+      request: config.upstream.requestTimeoutMs,
+      response: config.upstream.responseTimeoutMs
     },
-    responseType: 'buffer',
     decompress: true, // Native decompression (Performant)
     throwHttpErrors: false, // Don't throw on 404/500/403 so we can handle them manually
+    retry: { limit: 0 }, // Retried by openWithRetry(), which also covers error statuses
     http2: true,
-    request: http2wrapper.auto
+    request: egress.request, // HTTP/2 when offered; through the outbound proxy when one applies
+    // Private/reserved destinations are refused at DNS time and on every redirect hop
+    ...ssrf.gotOptions
   };
 
+  // Stale entry: ask the origin whether it changed instead of re-downloading
+  if (cached) applyRevalidation(gotOptions.headers, cached.validators);
+
+  let upstream = null;
+  let judged = false; // whether the breaker has heard how this fetch went
+
   try {
-    const response = await got(targetUrl, config);
-    const { statusCode, headers, rawBody } = response;
-
-    // --- Cloudflare / Error Handling ---
-    if (CLOUDFLARE_STATUS_CODES.has(statusCode)) {
-      // Pass rawBody. Note: rawBody is decompressed by 'got' due to decompress:true. 
-      // If bypass expects compressed data, we might need to re-compress or change logic.
-      // Usually, bypass just pipes data, so uncompressed buffer is safer to send to `res`.
-      return bypass(req, res, rawBody);
+    const fetchStarted = process.hrtime.bigint();
+    const { stream, response } = await openWithRetry(targetUrl, gotOptions, res, config.upstream);
+    const { statusCode, headers } = response;
+    const challenge = isChallenge(response);
+    upstream = stream;
+    annotate({ upstreamStatus: statusCode, originType: headers['content-type'] });
+    logger.debug('Upstream response', { url: redactUrl(targetUrl), status: statusCode, request: redactHeaders(gotOptions.headers) });
+
+    // Challenges and 4xx mean the host is up; 5xx that survived the retries count against it
+    if (statusCode >= 500 && !challenge) breaker.failure(host);
+    else breaker.success(host);
+    judged = true;
+
+    // Stop downloading if the client goes away
+    res.once('close', () => stream.destroy());
+
+    if (cached && statusCode === 304) {
+      stream.destroy();
+      cacheLookups.inc({ result: 'revalidated' });
+      const refreshed = await cache.refresh(key, cached, headers['cache-control']);
+      serveCached(req, res, refreshed);
+      return { entry: refreshed };
     }
 
+    cacheLookups.inc({ result: 'miss' });
+
+    // --- Challenge / Error Responses ---
+    // Never served (or cached) in place of an image: the client is sent to the original instead,
+    // where a browser can pass a challenge itself and sees the origin's own error otherwise
+    if (statusCode >= 400) {
+      stream.destroy();
+      upstreamEvents.inc({ event: challenge ? 'challenge' : 'error_status' });
+      if (challenge) annotate({ challenge: true });
+      redirect(req, res);
+      return REDIRECTED;
+    }
+
+    // --- Size Pre-check ---
+    const declaredLength = parseInt(headers['content-length'], 10);
+    if (declaredLength > maxOriginSize) {
+      stream.destroy();
+      throw bodyTooLarge(declaredLength, maxOriginSize);
+    }
+
+    // --- Non-image Pass-through ---
+    // Pages, videos and downloads are never compressed: stream them instead of holding them in RAM
+    const declaredType = headers['content-type'];
+    if (!needsBuffering(declaredType)) {
+      // Batch items are answered from memory: their clients fetch such bodies themselves
+      if (req.params.batch) {
+        stream.destroy();
+        redirect(req, res);
+        return null;
+      }
+
+      delete headers['content-encoding'];
+      delete headers['content-length'];
+      copyHeaders({ headers, status: statusCode }, res);
+      res.setHeader('x-proxy-cache', 'MISS');
+      req.params.originType = declaredType;
+      await bypassStream(req, res, stream, maxOriginSize);
+      return null;
+    }
+
+    const rawBody = await readBody(stream, maxOriginSize);
+    upstream = null;
+    const upstreamTime = secondsSince(fetchStarted);
+    upstreamSeconds.observe({}, upstreamTime);
+    annotate({ upstreamMs: Math.round(upstreamTime * 1000) });
+
     // Determine Content-Type
     // Prefer authoritative header, fallback to magic number detection
     let contentType = headers['content-type'];
@@ -105,26 +364,66 @@ export default async function proxy(req, res) {
     res.setHeader('referrer-policy', 'strict-origin-when-cross-origin');
     res.setHeader('x-proxy-cache', 'MISS');
 
+    // Output (and the compress/bypass decision) depends on Accept / Client Hints when used
+    for (const field of req.params.vary) appendVary(res, field);
+
     // Attach Metadata
     req.params.originType = contentType;
     req.params.originSize = rawBody.length;
 
-    // --- Process or Bypass ---
-    if (shouldCompress(req, rawBody)) {
-      return compress(req, res, rawBody);
+    // --- Validators ---
+    // Our ETag replaces the origin's: it also covers the transform params
+    const validators = getValidators(headers);
+    req.params.etag = statusCode === 200 ? computeEtag(validators, key, rawBody) : null;
+
+    if (req.params.etag && isNotModified(req, req.params.etag, validators.lastModified)) {
+      res.setHeader('etag', req.params.etag);
+      recordOutcome('not_modified');
+      sendNotModified(res);
+      return null;
     }
 
-    return bypass(req, res, rawBody);
+    // --- Process or Bypass ---
+    // Outputs are cached after sending; compress() returns nothing for results that must not be
+    let output;
+    if (isSvg(contentType)) output = await processSvg(req, res, rawBody);
+    else if (shouldCompress(req, rawBody)) output = await compress(req, res, rawBody);
+    else output = bypass(req, res, rawBody);
+
+    // A response fetched with the client's cookie or authorization is that client's alone
+    // (RFC 9111 §3.5): never stored, only shared with followers sending the same credentials
+    const entry = output ? cache.snapshot(res, output, validators, headers['cache-control']) : null;
+    if (!gotOptions.headers.cookie && !gotOptions.headers.authorization) cache.set(key, entry);
+    return entry ? { entry } : null;
 
   } catch (error) {
+    upstream?.destroy();
+
+    // No response even after the retries counts against the host
+    if (!judged && isTransientError(error) && !res.destroyed) breaker.failure(host);
+    else if (!judged) breaker.release(host);
+
+    // The client went away (and took the download with it): nothing to share
+    if (res.destroyed) return null;
+
     // Handle specific GOT errors (Timeouts, Oversized, etc)
+    if (error.code === 'ERR_SSRF_BLOCKED') {
+      logger.warn('Blocked destination', { url: redactUrl(targetUrl), err: error });
+      recordOutcome('error');
+      res.status(403).json({ error: 'Destination not allowed' });
+      return null;
+    }
+
     if (error.code === 'ERR_BODY_LARGE') {
-      console.warn(`⚠️ File too large: ${targetUrl}`);
-      return res.status(413).send('File too large');
+      logger.warn('Upstream body too large', { url: redactUrl(targetUrl) });
+      recordOutcome('error');
+      res.status(413).send('File too large');
+      return null;
     }
     
-    console.error(`❌ Proxy request failed: ${error.message} (${targetUrl})`);
-    return redirect(req, res);
+    logger.error('Upstream request failed', { url: redactUrl(targetUrl), err: error });
+    redirect(req, res);
+    return REDIRECTED;
   }
 }
 
@@ -0,0 +1,151 @@
+import defaultConfig from './config.js';
+import logger from './logger.js';
+
+// --- Constants ---
+const SWEEP_INTERVAL_MS = 60_000;
+
+/**
+ * In-memory store. Any object with the same async methods can replace it
+ * (e.g. a Redis-backed one shared across instances) via `createRateLimit({ store })`.
+ *
+ * take(key, capacity, perSecond) -> { allowed, remaining, resetSeconds }
+ * acquire(key, max)              -> boolean
+ * release(key)                   -> void
+ */
+export function createMemoryStore() {
+  const buckets = new Map();
+  const inFlight = new Map();
+
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, bucket] of buckets) {
+      if (now >= bucket.fullAt) buckets.delete(key);
+    }
+  }, SWEEP_INTERVAL_MS);
+  sweep.unref?.();
+
+  return {
+    async take(key, capacity, perSecond) {
+      const now = Date.now();
+      const bucket = buckets.get(key) || { tokens: capacity, updated: now };
+
+      bucket.tokens = Math.min(capacity, bucket.tokens + ((now - bucket.updated) / 1000) * perSecond);
+      bucket.updated = now;
+
+      const allowed = bucket.tokens >= 1;
+      if (allowed) bucket.tokens -= 1;
+
+      const missing = capacity - bucket.tokens;
+      bucket.fullAt = now + (missing / perSecond) * 1000;
+      buckets.set(key, bucket);
+
+      return {
+        allowed,
+        remaining: Math.floor(bucket.tokens),
+        // Seconds until a token is available (when denied) or the bucket is full again
+        resetSeconds: Math.ceil(allowed ? missing / perSecond : (1 - bucket.tokens) / perSecond)
+      };
+    },
+
+    async acquire(key, max) {
+      const count = inFlight.get(key) || 0;
+      if (count >= max) return false;
+      inFlight.set(key, count + 1);
+      return true;
+    },
+
+    async release(key) {
+      const count = (inFlight.get(key) || 1) - 1;
+      if (count <= 0) inFlight.delete(key);
+      else inFlight.set(key, count);
+    }
+  };
+}
+
+export function tooManyRequests(res, retryAfter, message) {
+  res.setHeader('Retry-After', String(Math.max(retryAfter, 1)));
+  return res.status(429).json({ error: message });
+}
+
+// Takes a compression slot: resolves to its release function, or null at the limit
+async function takeSlot(store, key, max) {
+  try {
+    if (!(await store.acquire(key, max))) return null;
+  } catch (err) {
+    logger.error('[RateLimit] Store error', { err });
+    return () => {};
+  }
+
+  let released = false;
+  return () => {
+    if (released) return;
+    released = true;
+    Promise.resolve(store.release(key)).catch(() => {});
+  };
+}
+
+/**
+ * Builds the rate-limit middleware.
+ * Token buckets per IP (req.ip, so `trust proxy` is respected) and per authenticated user.
+ * The cap on concurrent compressions per client is not taken here: the middleware sets
+ * `req.compressionSlot()`, which compress() calls around the encode, so cache hits, redirects
+ * and slow origins do not count against it. `req.rateLimitTake()` charges the client for one more
+ * request (POST /batch does, per URL). Run it after `authenticate`. Limits not given are `config`'s.
+ */
+export function createRateLimit({
+  config = defaultConfig,
+  store = createMemoryStore(),
+  // Requests per minute (0 disables that limit); burst is the bucket capacity
+  ipPerMinute = config.rateLimit.ipPerMinute,
+  userPerMinute = config.rateLimit.userPerMinute,
+  burst = config.rateLimit.burst,
+  maxConcurrent = config.rateLimit.maxConcurrent
+} = {}) {
+  // Takes a token from each of the client's buckets; resolves to the most restrictive result (null: no limits)
+  async function takeTokens(ip, user) {
+    const limits = [];
+    if (ipPerMinute) limits.push({ key: `ip:${ip}`, perMinute: ipPerMinute });
+    if (userPerMinute && user) limits.push({ key: `user:${user.name}`, perMinute: userPerMinute });
+
+    let reported = null;
+    for (const { key, perMinute } of limits) {
+      const capacity = Math.max(1, Math.min(burst || perMinute, perMinute));
+      const result = await store.take(key, capacity, perMinute / 60);
+      if (!reported || !result.allowed || result.remaining < reported.remaining) {
+        reported = { ...result, limit: perMinute };
+      }
+      if (!result.allowed) break;
+    }
+    return reported;
+  }
+
+  return async function rateLimit(req, res, next) {
+    const ip = req.ip || req.socket?.remoteAddress || 'unknown';
+    if (maxConcurrent) {
+      const slotKey = req.user ? `user:${req.user.name}` : `ip:${ip}`;
+      req.compressionSlot = () => takeSlot(store, slotKey, maxConcurrent);
+    }
+    req.rateLimitTake = () => takeTokens(ip, req.user).catch((err) => {
+      logger.error('[RateLimit] Store error', { err });
+      return null;
+    });
+
+    try {
+      const reported = await takeTokens(ip, req.user);
+      if (reported) {
+        res.setHeader('RateLimit-Limit', String(reported.limit));
+        res.setHeader('RateLimit-Remaining', String(reported.remaining));
+        res.setHeader('RateLimit-Reset', String(reported.resetSeconds));
+        if (!reported.allowed) {
+          return tooManyRequests(res, reported.resetSeconds, 'Too many requests.');
+        }
+      }
+
+      return next();
+    } catch (err) {
+      // A broken store must not take the service down; fail open
+      logger.error('[RateLimit] Store error', { err });
+      return next();
+    }
+  };
+}
@@ -1,4 +1,6 @@
 import { URL } from 'url';
+import { recordOutcome } from './metrics.js';
+import logger, { redactUrl } from './logger.js';
 
 // --- Constants ---
 const ALLOWED_PROTOCOLS = new Set(['http:', 'https:']);
@@ -15,16 +17,13 @@ const STRIPPED_HEADERS = [
   'last-modified'
 ];
 
-// Basic regex to detect loopback/private addresses (Simple SSRF protection)
-// Note: For strict production environments, use a library like 'ipaddr.js'
-const IS_LOCALHOST = /^127\.|^0\.0\.|^192\.168\.|^10\.|^172\.(1[6-9]|2[0-9]|3[0-1])\.|^localhost$|^::1$/i;
-
 /**
  * Validates and parses a URL. Returns the URL object or null.
  * @param {string} urlString 
+ * @param {object} ssrf - SSRF guard (see ssrf.js)
  * @returns {URL|null}
  */
-function parseAndValidateUrl(urlString) {
+function parseAndValidateUrl(urlString, ssrf) {
   if (!urlString || typeof urlString !== 'string') return null;
 
   try {
@@ -38,8 +37,8 @@ function parseAndValidateUrl(urlString) {
     // 3. Hostname Validation
     if (!parsed.hostname) return null;
 
-    // 4. SSRF Check: Block localhost/private IPs
-    if (IS_LOCALHOST.test(parsed.hostname)) return null;
+    // 4. SSRF Check: Block localhost/private/reserved hosts (same rules as the fetcher)
+    if (ssrf.isBlockedHostname(parsed.hostname)) return null;
 
     return parsed;
   } catch {
@@ -93,17 +92,18 @@ export default function redirect(req, res, statusCode = 302) {
   try {
     // 2. Validate Status Code
     if (!Number.isInteger(statusCode) || statusCode < 300 || statusCode >= 400) {
-      console.warn(`[Redirect] Invalid status ${statusCode}, defaulting to 302`);
+      logger.warn('[Redirect] Invalid status, defaulting to 302', { statusCode });
       statusCode = 302;
     }
 
     // 3. Extract and Validate URL
     // Supports params (path) or query string (?url=...)
     const inputUrl = req.params?.url || req.query?.url;
-    const urlObj = parseAndValidateUrl(inputUrl);
+    const urlObj = parseAndValidateUrl(inputUrl, req.context.ssrf);
 
     if (!urlObj) {
-      console.error('[Redirect] Blocked invalid or unsafe URL:', inputUrl);
+      logger.warn('[Redirect] Blocked invalid or unsafe URL', { url: redactUrl(inputUrl) });
+      recordOutcome('error');
       return res.status(400).json({ error: 'Invalid, missing, or unsafe URL.' });
     }
 
@@ -133,9 +133,11 @@ export default function redirect(req, res, statusCode = 302) {
     res.setHeader('Content-Length', Buffer.byteLength(html));
     
     res.status(statusCode).end(html);
+    recordOutcome('redirected');
 
   } catch (err) {
-    console.error('[Redirect] Internal Error:', err);
+    logger.error('[Redirect] Internal error', { err });
+    recordOutcome('error');
     if (!res.headersSent) {
       res.status(500).json({ error: 'Internal server error during redirect.' });
     }
@@ -0,0 +1,124 @@
+import fs from 'fs';
+import { parseFormat } from './negotiate.js';
+import { FORWARDABLE_HEADERS } from './forwarding.js';
+import defaultConfig from './config.js';
+
+/**
+ * Per-host processing rules, loaded once per configuration from RULES_FILE (JSON):
+ *
+ * {
+ *   "rules": [
+ *     { "host": "tracker.example", "action": "deny" },
+ *     { "host": ".imgix.net", "action": "bypass" },
+ *     { "host": "docs.example.com", "quality": 80, "format": "webp", "grayscale": false },
+ *     { "host": "members.example.org", "forward": ["cookie", "referer"] },
+ *     { "host": ".internal-cdn.example", "proxy": "socks5h://tunnel.corp:1080" }
+ *   ]
+ * }
+ *
+ * `host` is an exact hostname, or ".suffix" / "*.suffix" to match a domain and its subdomains.
+ * Exact matches win over suffixes; among suffixes the longest wins. `forward` lists the client
+ * headers the host still receives in privacy mode; `proxy` routes the host through an outbound
+ * proxy, or "direct" past the configured one (see egress.js).
+ */
+
+// --- Constants ---
+const ACTIONS = new Set(['deny', 'bypass', 'compress']);
+const RULE_KEYS = new Set(['host', 'action', 'quality', 'format', 'grayscale', 'minCompressLength', 'forward', 'proxy']);
+const PROXY_URL_PATTERN = /^(https?|socks5h?):\/\/[^/]+\/?$/i;
+
+function invalid(file, index, message) {
+  return new Error(`[Rules] Invalid rule #${index} in ${file}: ${message}`);
+}
+
+/**
+ * Validates one rule and returns its normalized form. Throws on bad input.
+ */
+function normalizeRule(rule, index, file) {
+  if (!rule || typeof rule !== 'object') throw invalid(file, index, 'must be an object');
+
+  for (const key of Object.keys(rule)) {
+    if (!RULE_KEYS.has(key)) throw invalid(file, index, `unknown key "${key}"`);
+  }
+
+  if (typeof rule.host !== 'string' || !rule.host.trim()) {
+    throw invalid(file, index, '"host" must be a non-empty string');
+  }
+
+  const normalized = { ...rule, host: rule.host.trim().toLowerCase().replace(/^\*\./, '.') };
+  normalized.action = rule.action ?? 'compress';
+
+  if (!ACTIONS.has(normalized.action)) {
+    throw invalid(file, index, `"action" must be one of ${[...ACTIONS].join(', ')}`);
+  }
+  if (rule.quality !== undefined && !(Number.isInteger(rule.quality) && rule.quality >= 1 && rule.quality <= 100)) {
+    throw invalid(file, index, '"quality" must be an integer between 1 and 100');
+  }
+  if (rule.format !== undefined) {
+    const format = parseFormat(rule.format);
+    if (!format) throw invalid(file, index, `unknown "format" ${JSON.stringify(rule.format)}`);
+    normalized.format = format;
+  }
+  if (rule.grayscale !== undefined && typeof rule.grayscale !== 'boolean') {
+    throw invalid(file, index, '"grayscale" must be a boolean');
+  }
+  if (rule.minCompressLength !== undefined && !(Number.isInteger(rule.minCompressLength) && rule.minCompressLength >= 0)) {
+    throw invalid(file, index, '"minCompressLength" must be a non-negative integer');
+  }
+  if (rule.forward !== undefined) {
+    if (!Array.isArray(rule.forward)) throw invalid(file, index, '"forward" must be an array of header names');
+    normalized.forward = rule.forward.map(name => String(name).toLowerCase());
+    const unknown = normalized.forward.find(name => !FORWARDABLE_HEADERS.includes(name));
+    if (unknown) throw invalid(file, index, `"forward" may only list ${FORWARDABLE_HEADERS.join(', ')} (got "${unknown}")`);
+  }
+  if (rule.proxy !== undefined && rule.proxy !== 'direct'
+      && !(typeof rule.proxy === 'string' && PROXY_URL_PATTERN.test(rule.proxy))) {
+    throw invalid(file, index, '"proxy" must be "direct" or an http://, https://, socks5:// or socks5h:// URL');
+  }
+
+  return normalized;
+}
+
+function loadRules(file) {
+  if (!file) return [];
+
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`[Rules] Cannot load ${file}: ${err.message}`);
+  }
+
+  const list = Array.isArray(parsed) ? parsed : parsed?.rules;
+  if (!Array.isArray(list)) throw new Error(`[Rules] ${file} must contain a "rules" array`);
+
+  return list.map((rule, index) => normalizeRule(rule, index, file));
+}
+
+/**
+ * Loads the rules file named by `config` and returns `{ getHostRule(url) }`, which looks up the
+ * rule for a URL's hostname (null when none applies). Throws when the file is missing or invalid,
+ * so a broken rules file fails at startup instead of silently disabling deny rules.
+ */
+export function createRules({ config = defaultConfig } = {}) {
+  const rules = loadRules(config.rules.file);
+  const exact = new Map(rules.filter(r => !r.host.startsWith('.')).map(r => [r.host, r]));
+  const suffixes = rules.filter(r => r.host.startsWith('.')).sort((a, b) => b.host.length - a.host.length);
+
+  return {
+    getHostRule(url) {
+      if (!rules.length || !url) return null;
+
+      let hostname;
+      try {
+        hostname = new URL(url).hostname.toLowerCase().replace(/\.$/, '');
+      } catch {
+        return null;
+      }
+
+      return exact.get(hostname)
+        || suffixes.find(r => hostname.endsWith(r.host) || hostname === r.host.slice(1))
+        || null;
+    }
+  };
+}
@@ -0,0 +1,50 @@
+import crypto from 'crypto';
+import { promisify } from 'util';
+
+/**
+ * Password and API key hashing for the users file (see users.js). No side effects on import,
+ * so `npm run hash-secret` works before a users file exists.
+ */
+
+// --- Constants ---
+const SCRYPT_KEYLEN = 32;
+
+const scrypt = promisify(crypto.scrypt);
+
+/**
+ * Hashes a password for the users file (salted scrypt).
+ */
+export function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(String(password), salt, SCRYPT_KEYLEN);
+  return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+/**
+ * Checks a password against a hash from hashPassword(). scrypt runs on the libuv thread pool,
+ * so verifications do not block the event loop.
+ */
+export async function verifyPasswordHash(password, stored) {
+  if (typeof password !== 'string' || typeof stored !== 'string') return false;
+  const [scheme, salt, hash] = stored.split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Hashes an API key for the users file. Keys are random and long, so a plain digest suffices
+ * and allows constant-time lookup by hash.
+ */
+export function hashApiKey(key) {
+  return `sha256$${crypto.createHash('sha256').update(String(key)).digest('hex')}`;
+}
+
+/**
+ * Generates a new random API key (to hand out once; store only its hash).
+ */
+export function generateApiKey() {
+  return `bh_${crypto.randomBytes(24).toString('base64url')}`;
+}
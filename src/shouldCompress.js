@@ -1,88 +1,111 @@
 import isAnimated from 'is-animated';
+import { ALPHA_FORMATS } from './negotiate.js';
+import { skips } from './metrics.js';
+import logger, { annotate } from './logger.js';
 
-// --- Configuration ---
-const ENV_MIN_LENGTH = parseInt(process.env.MIN_COMPRESS_LENGTH, 10);
-const MIN_COMPRESS_LENGTH = !isNaN(ENV_MIN_LENGTH) ? ENV_MIN_LENGTH : 1024; // Default 1KB
-
-// Thresholds
-const MIN_TRANSPARENT_COMPRESS_LENGTH = MIN_COMPRESS_LENGTH * 50; // ~50KB
-const ALREADY_COMPRESSED_THRESHOLD = MIN_COMPRESS_LENGTH * 100;   // ~100KB for WebP/AVIF
+// Thresholds, as multiples of MIN_COMPRESS_LENGTH
+const TRANSPARENT_FACTOR = 50;         // ~50KB
+const ALREADY_COMPRESSED_FACTOR = 100; // ~100KB for WebP/AVIF
 
 // Content Types
+// SVGs are cleaned (or rasterized) by svg.js, never re-encoded from here
 const EXCLUDED_TYPES = new Set(['image/svg+xml', 'application/pdf', 'image/x-icon']);
 const LEGACY_TYPES = new Set(['image/png', 'image/gif']);
 const MODERN_TYPES = new Set(['image/webp', 'image/avif']);
 
+// Animations are re-encoded as animated WebP, which every client asking for these can display
+const ANIMATION_CAPABLE_FORMATS = new Set(['webp', 'avif', 'jxl']);
+
 /**
- * Utility: Structured Logging
+ * Utility: Count a skip reason (always) without logging it
  */
-function logSkip(reason, details) {
-  if (process.env.NODE_ENV !== 'production') {
-    // Only log distinct skip reasons in dev/debug mode to reduce noise
-    console.log(`[SKIP] Reason: ${reason}`, details);
-  }
+function skip(reason) {
+  skips.inc({ reason });
+  annotate({ skip: reason });
   return false;
 }
 
+/**
+ * Like skip(), with the details logged at debug level
+ */
+function logSkip(reason, details) {
+  logger.debug('Compression skipped', { reason, ...details });
+  return skip(reason);
+}
+
 /**
  * Determines if an image should be compressed/converted.
  * 
  * Logic Flow:
  * 1. Validate Input
- * 2. Check Blocklist (SVG, etc)
+ * 2. Check Host Rules and Blocklist (SVG, etc)
  * 3. Check Size (Too small = overhead > savings)
  * 4. Check Format Specifics (Don't recompress small WebPs, don't break animations)
  */
 export default function shouldCompress(req, buffer) {
-  const { originType, originSize, webp, grayscale, quality } = req.params || {};
+  const { originType, originSize, format, grayscale, quality, hostRule } = req.params || {};
+  const { minCompressLength } = req.context.config.compress;
+  const minLength = hostRule?.minCompressLength ?? minCompressLength;
 
   // 1. Validate Input
   if (!originType || !originSize || !Buffer.isBuffer(buffer)) {
-    return false;
+    return skip('invalid-input');
   }
 
-  // 2. Non-Image and Vector Checks
-  if (!originType.startsWith('image/') || EXCLUDED_TYPES.has(originType)) {
-    return false; // Pass through SVGs, Icons, and non-images
+  // 2. Host Rule: already-optimized CDNs etc. are always passed through
+  if (hostRule?.action === 'bypass') {
+    return logSkip('host-rule', { host: hostRule.host });
+  }
+
+  // 3. Non-Image and Vector Checks
+  if (!originType.startsWith('image/')) {
+    return skip('not-image');
+  }
+  if (EXCLUDED_TYPES.has(originType)) {
+    return skip('excluded-type'); // Pass through SVGs, Icons
   }
 
-  // 3. Size Checks: Too Small
-  if (originSize < MIN_COMPRESS_LENGTH) {
-    return false;
+  // 4. Size Checks: Too Small
+  if (originSize < minLength) {
+    return skip('too-small');
   }
 
-  // 4. "Already Modern" Check
+  // 5. "Already Modern" Check
   // If the source is already WebP/AVIF, re-compressing it causes quality loss 
   // and CPU waste, unless the file is huge or user explicitly requested edits (grayscale/quality).
   if (MODERN_TYPES.has(originType)) {
     const isEditing = Boolean(grayscale || quality);
-    const isLarge = originSize > ALREADY_COMPRESSED_THRESHOLD;
+    const isLarge = originSize > minCompressLength * ALREADY_COMPRESSED_FACTOR;
     
     if (!isEditing && !isLarge) {
       return logSkip('already-compressed', { originType, originSize });
     }
   }
 
-  // 5. Transparent/Legacy Check (PNG/GIF)
-  // If we are NOT converting to WebP (req.params.webp is false), 
+  // 6. Transparent/Legacy Check (PNG/GIF)
+  // If the output format has no alpha channel (JPEG), 
   // we shouldn't compress small PNGs because converting them to JPEG kills transparency.
-  if (LEGACY_TYPES.has(originType) && !webp) {
-    if (originSize < MIN_TRANSPARENT_COMPRESS_LENGTH) {
+  if (LEGACY_TYPES.has(originType) && !ALPHA_FORMATS.has(format)) {
+    if (originSize < minCompressLength * TRANSPARENT_FACTOR) {
       return logSkip('transparent-small', { originType, originSize });
     }
   }
 
-  // 6. Animation Check
-  // Re-encoding animations (GIF/APNG/WebP-Anim) is extremely CPU heavy.
-  // Unless your 'compress' module explicitly handles frame extraction and re-encoding,
-  // it is safer to bypass them.
+  // 7. Animation Check
+  // GIF and WebP animations are re-encoded by 'compress' (animated WebP, or a still when over budget).
+  // Bypass them when the client can't take WebP, and always for APNG: libvips decodes only its first frame.
   try {
     if (isAnimated(buffer)) {
-      return logSkip('animated', { originType });
+      if (originType === 'image/png') {
+        return logSkip('animated-png', { originType });
+      }
+      if (!ANIMATION_CAPABLE_FORMATS.has(format)) {
+        return logSkip('animated-unsupported-format', { originType, format });
+      }
     }
   } catch (err) {
-    console.warn(`⚠️ Animation check error: ${err.message}`);
-    return false; // Fail safe: don't compress if we can't verify
+    logger.warn('Animation check failed', { err });
+    return skip('animation-check-error'); // Fail safe: don't compress if we can't verify
   }
 
   return true;
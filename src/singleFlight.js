@@ -0,0 +1,42 @@
+/**
+ * Single-flight: concurrent calls with the same key share one execution.
+ *
+ * The first caller (the leader) runs `fn`; callers arriving while it runs (followers)
+ * wait for its result instead of repeating the work. A rejected leader yields null
+ * to followers, so they can fall back to doing the work themselves.
+ *
+ * `fn` receives a `detach()` callback: calling it releases the current followers with null
+ * and lets the next caller for the key lead a new flight, while `fn` itself runs on.
+ */
+export function createSingleFlight() {
+  const inFlight = new Map();
+
+  return {
+    /**
+     * Resolves with { value, leader }. Only the leader sees fn's errors.
+     */
+    async run(key, fn) {
+      const pending = inFlight.get(key);
+      if (pending) {
+        return { value: await pending.shared, leader: false };
+      }
+
+      let release;
+      const released = new Promise((resolve) => { release = () => resolve(null); });
+      const flight = {};
+      const detach = () => {
+        if (inFlight.get(key) === flight) inFlight.delete(key);
+        release();
+      };
+
+      const promise = Promise.resolve().then(() => fn(detach));
+      flight.shared = Promise.race([promise.catch(() => null), released]);
+      inFlight.set(key, flight);
+      try {
+        return { value: await promise, leader: true };
+      } finally {
+        if (inFlight.get(key) === flight) inFlight.delete(key);
+      }
+    }
+  };
+}
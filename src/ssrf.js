@@ -0,0 +1,207 @@
+import dns from 'dns';
+import net from 'net';
+import defaultConfig from './config.js';
+
+// --- Blocked Ranges ---
+// Loopback, private, link-local (incl. cloud metadata 169.254.169.254), CGNAT,
+// documentation/benchmark nets, multicast and reserved space.
+const BLOCKED_IPV4 = [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.0.2.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['198.51.100.0', 24],
+  ['203.0.113.0', 24],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+];
+
+// Unspecified, loopback, ULA (incl. AWS fd00:ec2::254), link-local, multicast, documentation.
+// IPv4-mapped/compatible and NAT64 addresses are unwrapped and checked as IPv4 instead.
+const BLOCKED_IPV6 = [
+  ['::', 128],
+  ['::1', 128],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8],
+  ['2001:db8::', 32]
+];
+
+// Prefixes that embed an IPv4 address in their last 32 bits
+const EMBEDDED_IPV4_PREFIXES = [
+  ['::ffff:0:0', 96],
+  ['::', 96],
+  ['64:ff9b::', 96]
+];
+
+// Metadata services reachable by name
+const BLOCKED_HOSTNAMES = new Set([
+  'localhost',
+  'metadata',
+  'metadata.google.internal',
+  'metadata.goog',
+  'instance-data',
+  'instance-data.ec2.internal'
+]);
+
+const blockList = new net.BlockList();
+for (const [address, prefix] of BLOCKED_IPV4) blockList.addSubnet(address, prefix, 'ipv4');
+for (const [address, prefix] of BLOCKED_IPV6) blockList.addSubnet(address, prefix, 'ipv6');
+
+const embeddedList = new net.BlockList();
+for (const [address, prefix] of EMBEDDED_IPV4_PREFIXES) embeddedList.addSubnet(address, prefix, 'ipv6');
+
+/**
+ * Extracts the IPv4 address embedded in a mapped/compatible/NAT64 IPv6 address.
+ */
+function embeddedIpv4(address) {
+  if (!embeddedList.check(address, 'ipv6')) return null;
+
+  // Mapped addresses may already be written in dotted form (::ffff:1.2.3.4)
+  const dotted = address.match(/(\d{1,3}(?:\.\d{1,3}){3})$/);
+  if (dotted) return dotted[1];
+
+  const groups = address.split(':');
+  const low = parseInt(groups.pop() || '0', 16);
+  const high = parseInt(groups.pop() || '0', 16);
+  return [high >> 8, high & 0xff, low >> 8, low & 0xff].join('.');
+}
+
+function blockedError(target) {
+  const error = new Error(`Blocked request to private or reserved address: ${target}`);
+  error.code = 'ERR_SSRF_BLOCKED';
+  return error;
+}
+
+/**
+ * Builds the guard for `config`. Its allowlist (SSRF_ALLOWLIST) holds comma-separated hostnames
+ * (exact or ".suffix") and IPs/CIDRs, e.g. "intranet.example.com,.corp.example,10.1.2.0/24",
+ * which are fetched even though they are private.
+ */
+export function createSsrfGuard({ config = defaultConfig } = {}) {
+  // --- Allowlist Override ---
+  const allowedHosts = new Set();
+  const allowedSuffixes = [];
+  const allowList = new net.BlockList();
+
+  for (const raw of config.upstream.ssrfAllowlist) {
+    const entry = raw.trim().toLowerCase();
+    if (!entry) continue;
+
+    const [address, prefix] = entry.split('/');
+    const family = net.isIP(address);
+    if (family) {
+      const type = family === 4 ? 'ipv4' : 'ipv6';
+      const bits = prefix === undefined ? (family === 4 ? 32 : 128) : parseInt(prefix, 10);
+      allowList.addSubnet(address, bits, type);
+    } else if (entry.startsWith('.')) {
+      allowedSuffixes.push(entry);
+    } else {
+      allowedHosts.add(entry);
+    }
+  }
+
+  function isAllowedHost(hostname) {
+    return allowedHosts.has(hostname) || allowedSuffixes.some(suffix => hostname.endsWith(suffix));
+  }
+
+  /**
+   * Whether a hostname is exempted by name (not by address), i.e. may be fetched whatever it resolves to.
+   */
+  function isAllowedName(hostname) {
+    return isAllowedHost(String(hostname).toLowerCase().replace(/\.$/, ''));
+  }
+
+  /**
+   * Whether an IP address (v4 or v6) points somewhere the proxy must not fetch from.
+   */
+  function isBlockedAddress(address) {
+    const family = net.isIP(address);
+    if (!family) return true; // Unknown shapes are never trusted
+
+    const type = family === 4 ? 'ipv4' : 'ipv6';
+    if (allowList.check(address, type)) return false;
+
+    if (family === 6) {
+      const ipv4 = embeddedIpv4(address.toLowerCase());
+      if (ipv4) return isBlockedAddress(ipv4);
+    }
+
+    return blockList.check(address, type);
+  }
+
+  /**
+   * Synchronous check of a URL hostname: blocked names and literal IPs.
+   * Hostnames that need DNS are checked again at connect time by `guardedLookup`.
+   */
+  function isBlockedHostname(hostname) {
+    if (!hostname) return true;
+    const host = hostname.toLowerCase().replace(/^\[|\]$/g, '').replace(/\.$/, '');
+
+    if (isAllowedHost(host)) return false;
+    if (BLOCKED_HOSTNAMES.has(host) || host.endsWith('.localhost')) return true;
+    if (net.isIP(host)) return isBlockedAddress(host);
+    return false;
+  }
+
+  /**
+   * Throws ERR_SSRF_BLOCKED if the URL's hostname is not fetchable.
+   * Used as a got beforeRequest/beforeRedirect hook so every hop is re-checked.
+   */
+  function assertSafeUrl(url) {
+    const { hostname } = url instanceof URL ? url : new URL(String(url));
+    if (isBlockedHostname(hostname)) throw blockedError(hostname);
+  }
+
+  /**
+   * Drop-in replacement for dns.lookup that refuses blocked addresses.
+   * Rejects if ANY resolved address is blocked, so DNS rebinding to a mixed set cannot slip through.
+   */
+  function guardedLookup(hostname, options, callback) {
+    if (typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+    if (typeof options === 'number') options = { family: options };
+
+    const host = String(hostname).toLowerCase();
+
+    dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+      if (err) return callback(err);
+      if (!addresses.length) {
+        return callback(Object.assign(new Error(`No addresses for ${hostname}`), { code: 'ENOTFOUND' }));
+      }
+
+      if (!isAllowedHost(host)) {
+        const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+        if (blocked) return callback(blockedError(`${hostname} (${blocked.address})`));
+      }
+
+      if (options.all) return callback(null, addresses);
+      const [first] = addresses;
+      return callback(null, first.address, first.family);
+    });
+  }
+
+  return {
+    isBlockedAddress,
+    isBlockedHostname,
+    isAllowedName,
+    assertSafeUrl,
+    guardedLookup,
+    // got options that enforce the guard on the initial request and on every redirect
+    gotOptions: {
+      dnsLookup: guardedLookup,
+      hooks: {
+        beforeRequest: [(options) => assertSafeUrl(options.url)],
+        beforeRedirect: [(options) => assertSafeUrl(options.url)]
+      }
+    }
+  };
+}
@@ -0,0 +1,314 @@
+import compress from './compress.js';
+import bypass, { originFilename, SVG_CONTENT_SECURITY_POLICY } from './bypass.js';
+import redirect from './redirect.js';
+import { recordConversion, recordOutcome, recordTransfer } from './metrics.js';
+import logger, { annotate, redactUrl } from './logger.js';
+
+/**
+ * SVG path. SVGs are not re-encoded like raster images (see EXCLUDED_TYPES in shouldCompress.js);
+ * their markup is cleaned instead. Comments, metadata, editor namespaces (Inkscape, Illustrator,
+ * Sketch...) and insignificant whitespace are removed. So is anything active or external: scripts,
+ * foreignObject, event handlers, links leaving the document and CSS that loads resources.
+ * Cleaned SVGs are served with a sandboxing Content-Security-Policy.
+ *
+ * With SVG_RASTERIZE, cleaned SVGs of at least SVG_RASTERIZE_BYTES or SVG_RASTERIZE_ELEMENTS are
+ * rendered to the requested raster format instead, at most SVG_RASTER_MAX_DIMENSION on a side.
+ * Markup the cleaner cannot parse is never served from here: the client is sent to the original.
+ */
+
+// --- Constants ---
+// The only namespace declarations kept: SVG as the default and XLink on its usual prefix. Every
+// other namespace (editor data, RDF, XHTML) is dropped, with the elements and attributes in it
+const KEPT_DECLARATIONS = new Map([
+  ['xmlns', 'http://www.w3.org/2000/svg'],
+  ['xmlns:xlink', 'http://www.w3.org/1999/xlink']
+]);
+
+// Dropped together with everything inside them
+const DROPPED_ELEMENTS = new Set(['script', 'foreignobject', 'metadata', 'iframe', 'embed', 'object', 'handler', 'listener']);
+// Whitespace inside these is content
+const TEXT_ELEMENTS = new Set(['text', 'tspan', 'textpath', 'title', 'desc', 'style']);
+const ANIMATION_ELEMENTS = new Set(['animate', 'set', 'animatetransform', 'animatemotion']);
+
+// Illustrator declares its namespaces as internal entities; anything fancier is refused
+const PREDEFINED_ENTITIES = new Set(['lt', 'gt', 'amp', 'quot', 'apos']);
+const MAX_ENTITIES = 100;
+const MAX_ENTITY_LENGTH = 1024;
+
+const TOKEN = /<!--[\s\S]*?-->|<!\[CDATA\[[\s\S]*?\]\]>|<\?[\s\S]*?\?>|<!DOCTYPE(?:[^[>]|\[[\s\S]*?\])*>|<\/?[A-Za-z_](?:[^>"']|"[^"]*"|'[^']*')*>|[^<]+/y;
+const TAG = /^<(\/?)([A-Za-z_][\w.:-]*)([\s\S]*?)(\/?)>$/;
+const ATTRIBUTE = /\s+([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/y;
+const ENTITY_DECLARATION = /<!ENTITY\s+([^\s%]+)\s+(?:"([^"]*)"|'([^']*)')\s*>/g;
+const ENTITY_REFERENCE = /&([^#;\s&][^;\s&]*);/g;
+
+// Links may only point inside the document or at embedded raster images (anchors: also the web)
+const SAFE_LINK = /^(#|data:image\/(png|jpe?g|gif|webp|avif);base64,)/i;
+const SAFE_ANCHOR_LINK = /^https?:\/\//i;
+// Values that run script or make the client fetch something
+const UNSAFE_VALUE = /javascript:|@import|expression\s*\(|url\(\s*['"]?\s*(?!#|data:image\/)/i;
+
+/**
+ * Whether a Content-Type is SVG.
+ */
+export function isSvg(contentType) {
+  return String(contentType || '').split(';')[0].trim().toLowerCase() === 'image/svg+xml';
+}
+
+function localName(name) {
+  return name.slice(name.indexOf(':') + 1).toLowerCase();
+}
+
+function prefixOf(name) {
+  const colon = name.indexOf(':');
+  return colon === -1 ? null : name.slice(0, colon);
+}
+
+// Simple internal entities from the DOCTYPE; throws on parameter/external entities or other declarations
+function readEntities(doctype, entities) {
+  const subset = /\[([\s\S]*)\]/.exec(doctype)?.[1] || '';
+  const rest = subset.replace(ENTITY_DECLARATION, (declaration, name, double, single) => {
+    const value = double ?? single;
+    if (/[&<%]/.test(value) || value.length > MAX_ENTITY_LENGTH || entities.size >= MAX_ENTITIES) {
+      throw new Error(`Unsupported entity "${name}"`);
+    }
+    entities.set(name, value);
+    return '';
+  });
+  if (rest.replace(/<!--[\s\S]*?-->/g, '').trim()) throw new Error('Unsupported DOCTYPE declarations');
+}
+
+function parseAttributes(source) {
+  const attributes = [];
+  let end = 0;
+  ATTRIBUTE.lastIndex = 0;
+  let match;
+  while ((match = ATTRIBUTE.exec(source))) {
+    attributes.push([match[1], match[2] ?? match[3]]);
+    end = ATTRIBUTE.lastIndex;
+  }
+  if (source.slice(end).trim()) throw new Error('Malformed attributes');
+  return attributes;
+}
+
+function codePoint(n) {
+  return n > 0 && n <= 0x10FFFF ? String.fromCodePoint(n) : '\uFFFD';
+}
+
+// A value as the browser reads it: character references, CSS comments and CSS escapes undone
+function decodeValue(text) {
+  return text
+    .replace(/&#x([0-9a-f]+);|&#(\d+);/gi, (reference, hex, decimal) => codePoint(hex ? parseInt(hex, 16) : Number(decimal)))
+    .replace(/\/\*[\s\S]*?\*\//g, '')
+    .replace(/\\([0-9a-f]{1,6})\s?|\\([^\n0-9a-f])/gi, (escape, hex, char) => char ?? codePoint(parseInt(hex, 16)));
+}
+
+function unsafeValue(text) {
+  return UNSAFE_VALUE.test(decodeValue(text));
+}
+
+// Animations that could swap a link or handler in are dropped whole
+function animatesUnsafe(attributes, expand) {
+  const raw = attributes.find(([name]) => name === 'attributeName')?.[1] || '';
+  const target = decodeValue(expand(raw)).trim().toLowerCase();
+  return localName(target) === 'href' || target.startsWith('on');
+}
+
+function cleanAttributes(element, attributes, namespaces, expand) {
+  let out = '';
+  for (const [name, raw] of attributes) {
+    const prefix = prefixOf(name);
+    const declaration = name === 'xmlns' || prefix === 'xmlns';
+    if (!declaration && prefix && !namespaces.has(prefix)) continue;
+    if (name.toLowerCase().startsWith('on')) continue;
+
+    const value = expand(raw).replace(/\s+/g, ' ').trim();
+    if (declaration && KEPT_DECLARATIONS.get(name) !== value) continue;
+    if (localName(name) === 'href' && !SAFE_LINK.test(value) && !(element === 'a' && SAFE_ANCHOR_LINK.test(value))) continue;
+    if (unsafeValue(value)) continue;
+
+    out += ` ${name}="${value.replace(/"/g, '&quot;')}"`;
+  }
+  return out;
+}
+
+/**
+ * Cleans SVG markup (see above). Works on the bytes as latin1, so UTF-8 and other ASCII-compatible
+ * encodings pass through unchanged. Returns { data, elements }; throws on markup it cannot parse.
+ */
+export function cleanSvg(buffer) {
+  const source = buffer.toString('latin1');
+  const entities = new Map();
+  const namespaces = new Set(['xml']);
+  const stack = []; // open elements: { name, dropped, text, style }
+  let elements = 0;
+  let rooted = false;
+  let out = '';
+
+  const expand = (text) => text.replace(ENTITY_REFERENCE, (reference, name) => {
+    if (PREDEFINED_ENTITIES.has(name)) return reference;
+    if (!entities.has(name)) throw new Error(`Undeclared entity "${name}"`);
+    return entities.get(name);
+  });
+
+  TOKEN.lastIndex = 0;
+  while (TOKEN.lastIndex < source.length) {
+    const offset = TOKEN.lastIndex;
+    const token = TOKEN.exec(source)?.[0];
+    if (!token) throw new Error(`Unexpected markup at offset ${offset}`);
+
+    const parent = stack.at(-1);
+
+    if (token.startsWith('<!--')) continue;
+    if (token.startsWith('<?')) {
+      // The XML declaration only matters when it names an encoding other than UTF-8
+      if (!rooted && /^<\?xml\s[^>]*encoding\s*=\s*["'](?!utf-?8["'])/i.test(token)) out += token;
+      continue;
+    }
+    if (token.startsWith('<!DOCTYPE')) {
+      readEntities(token, entities);
+      continue;
+    }
+    if (token.startsWith('<![CDATA[')) {
+      if (!parent) throw new Error('CDATA outside the root element');
+      if (parent.dropped) continue;
+      out += token;
+      if (parent.style) parent.style.content += token.slice(9, -3);
+      continue;
+    }
+
+    // Text
+    if (!token.startsWith('<')) {
+      if (!parent) {
+        if (token.trim()) throw new Error('Text outside the root element');
+        continue;
+      }
+      if (parent.dropped || (!parent.text && !token.trim())) continue;
+      const text = expand(token);
+      out += text;
+      if (parent.style) parent.style.content += text;
+      continue;
+    }
+
+    const [, closing, name, rest, selfClosing] = TAG.exec(token) || [];
+    if (!name) throw new Error(`Malformed tag at offset ${offset}`);
+
+    if (closing) {
+      const open = stack.pop();
+      if (open?.name !== name) throw new Error(`Unexpected </${name}>`);
+      if (open.dropped) continue;
+
+      // A <style> element is kept only if nothing in all of its content (text and CDATA) is unsafe
+      if (open.ownsStyle && unsafeValue(open.style.content)) {
+        out = out.slice(0, open.style.start);
+        elements = open.style.elements;
+        continue;
+      }
+      out += `</${name}>`;
+      continue;
+    }
+
+    // Inside a dropped element only the nesting matters
+    if (parent?.dropped) {
+      if (!selfClosing) stack.push({ name, dropped: true, text: false });
+      continue;
+    }
+
+    const attributes = parseAttributes(rest);
+    for (const [attribute, value] of attributes) {
+      if (attribute.startsWith('xmlns:') && KEPT_DECLARATIONS.get(attribute) === expand(value).trim()) namespaces.add(attribute.slice(6));
+    }
+
+    const element = localName(name);
+    if (!parent) {
+      if (rooted || element !== 'svg') throw new Error('Root element is not a single <svg>');
+      rooted = true;
+    }
+
+    const prefix = prefixOf(name);
+    const dropped = (prefix !== null && !namespaces.has(prefix)) ||
+      DROPPED_ELEMENTS.has(element) ||
+      (ANIMATION_ELEMENTS.has(element) && animatesUnsafe(attributes, expand));
+
+    const start = out.length;
+    const elementsBefore = elements;
+    if (!dropped) {
+      elements += 1;
+      out += `<${name}${cleanAttributes(element, attributes, namespaces, expand)}${selfClosing ? '/' : ''}>`;
+    }
+    if (!selfClosing) {
+      // A <style> collects its content (nested elements' too) to be checked when it closes
+      const ownsStyle = element === 'style' && !dropped;
+      stack.push({
+        name,
+        dropped,
+        text: TEXT_ELEMENTS.has(element) || Boolean(parent?.text),
+        style: ownsStyle ? { start, elements: elementsBefore, content: '' } : parent?.style,
+        ownsStyle
+      });
+    }
+  }
+
+  if (!rooted || stack.length) throw new Error('Incomplete document');
+  return { data: Buffer.from(out, 'latin1'), elements };
+}
+
+// Download name as for the original, with an .svg extension
+function svgFilename(params) {
+  const name = originFilename(params, 'image');
+  return /\.svg$/i.test(name) ? name : `${name}.svg`;
+}
+
+function sendSvg(req, res, data) {
+  const maxAge = req.context.config.compress.cacheMaxAgeSeconds;
+  const originSize = req.params.originSize || data.length;
+  res.setHeader('Content-Type', 'image/svg+xml');
+  res.setHeader('Content-Length', data.length);
+  res.setHeader('Content-Disposition', `inline; filename="${svgFilename(req.params)}"`);
+  res.setHeader('Content-Security-Policy', SVG_CONTENT_SECURITY_POLICY);
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+  res.setHeader('x-original-size', originSize);
+  res.setHeader('x-bytes-saved', Math.max(originSize - data.length, 0));
+  // Uploads keep the handler's private caching
+  if (!req.params.upload) {
+    res.setHeader('Cache-Control', `public, max-age=${maxAge}`);
+    res.setHeader('CDN-Cache-Control', `public, max-age=${maxAge}`);
+    res.setHeader('Vercel-CDN-Cache-Control', `public, max-age=${maxAge}`);
+  }
+  if (req.params.etag) res.setHeader('ETag', req.params.etag);
+  res.status(200).end(data);
+
+  recordConversion('image/svg+xml', 'svg');
+  recordOutcome('compressed');
+  recordTransfer(originSize, data.length);
+  return data;
+}
+
+/**
+ * Serves an SVG body: cleaned, rasterized, or as is (SVG_OPTIMIZE off, host rule bypass).
+ * Returns the sent buffer (for the result cache), or undefined when nothing cacheable was sent.
+ */
+export default async function processSvg(req, res, buffer) {
+  const settings = req.context.config.svg;
+  if (!settings.optimize || req.params.hostRule?.action === 'bypass') return bypass(req, res, buffer);
+
+  let cleaned;
+  try {
+    cleaned = cleanSvg(buffer);
+  } catch (err) {
+    logger.warn('[SVG] Could not clean markup', { url: redactUrl(req.params.url), err });
+    if (!req.params.upload) return redirect(req, res);
+    recordOutcome('error');
+    res.status(422).json({ error: 'Could not parse the SVG.' });
+    return;
+  }
+
+  if (settings.rasterize && (cleaned.data.length >= settings.rasterizeBytes || cleaned.elements >= settings.rasterizeElements)) {
+    annotate({ svg: 'rasterized' });
+    req.params.maxDimension = settings.rasterMaxDimension;
+    // Falls back to the cleaned markup when the raster is not smaller than the original
+    return compress(req, res, cleaned.data);
+  }
+
+  annotate({ svg: 'cleaned' });
+  return sendSvg(req, res, cleaned.data);
+}
@@ -0,0 +1,114 @@
+import express from 'express';
+import shouldCompress from './shouldCompress.js';
+import compress from './compress.js';
+import bypass from './bypass.js';
+import processSvg, { isSvg } from './svg.js';
+import { detectContentType } from './proxy.js';
+import { appendVary } from './negotiate.js';
+import { recordOutcome } from './metrics.js';
+import { annotate } from './logger.js';
+
+/**
+ * POST /compress: compresses an image sent in the request body instead of fetched from a URL.
+ *
+ * The body is either the raw image (any Content-Type) or multipart/form-data, in which case the
+ * first file part is used. Query parameters are the same as GET / (minus `url`). The upload goes
+ * through shouldCompress()/compress() like a fetched image, under the same limits: MAX_BUFFER_SIZE
+ * for the body, MAX_INPUT_PIXELS and the animation budget in the encoder. When compressing does
+ * not pay off, the original comes back (X-Proxy-Bypass: 1). Nothing is cached.
+ */
+
+// Body parsers by configuration: the size limit is fixed when one is built
+const parsers = new WeakMap();
+
+function rawBodyParser(config) {
+  let parser = parsers.get(config);
+  if (!parser) {
+    parser = express.raw({ type: () => true, limit: config.upstream.maxBodyBytes });
+    parsers.set(config, parser);
+  }
+  return parser;
+}
+
+/**
+ * Middleware: reads the whole body into req.body, answering oversized bodies with a JSON error.
+ */
+export function uploadBody(req, res, next) {
+  rawBodyParser(req.context.config)(req, res, (err) => {
+    if (!err) return next();
+    if (err.type === 'entity.too.large') return res.status(413).json({ error: 'File too large' });
+    return res.status(400).json({ error: 'Could not read the request body.' });
+  });
+}
+
+// First file part of a multipart/form-data body: { data, filename }, or null
+function parseMultipart(body, contentType) {
+  const match = /boundary=(?:"([^"]+)"|([^;\s]+))/i.exec(contentType);
+  if (!match) return null;
+
+  const delimiter = Buffer.from(`--${match[1] || match[2]}`);
+  let start = body.indexOf(delimiter);
+  while (start !== -1) {
+    const headersStart = start + delimiter.length;
+    // "--" after the delimiter closes the body
+    if (body.subarray(headersStart, headersStart + 2).toString('latin1') === '--') break;
+
+    const headersEnd = body.indexOf('\r\n\r\n', headersStart);
+    if (headersEnd === -1) break;
+    const end = body.indexOf(Buffer.concat([Buffer.from('\r\n'), delimiter]), headersEnd + 4);
+    if (end === -1) break;
+
+    const headers = body.subarray(headersStart, headersEnd).toString('utf8');
+    const disposition = /^content-disposition:(.*)$/im.exec(headers)?.[1] || '';
+    const filename = /filename="([^"]*)"/i.exec(disposition)?.[1];
+    if (filename !== undefined) {
+      return { data: body.subarray(headersEnd + 4, end), filename };
+    }
+    start = end + 2;
+  }
+  return null;
+}
+
+// The uploaded file: { data, filename }, or an error message
+function readUpload(req) {
+  const contentType = String(req.headers['content-type'] || '').toLowerCase();
+  if (!Buffer.isBuffer(req.body) || !req.body.length) return 'Expected an image in the request body.';
+
+  if (contentType.startsWith('multipart/form-data')) {
+    const file = parseMultipart(req.body, contentType);
+    if (!file || !file.data.length) return 'Expected a file part in the multipart body.';
+    return file;
+  }
+  return { data: req.body, filename: null };
+}
+
+/**
+ * Express handler for POST /compress (expects the raw body and uploadParams).
+ */
+export default async function upload(req, res) {
+  const file = readUpload(req);
+  if (typeof file === 'string') {
+    recordOutcome('error');
+    return res.status(400).json({ error: file });
+  }
+
+  // The bytes decide: whatever type the client declared, unrecognised content is refused
+  const originType = detectContentType(file.data);
+  if (!originType.startsWith('image/')) {
+    recordOutcome('error');
+    return res.status(415).json({ error: 'Upload is not a supported image (JPEG, PNG, GIF, WebP, AVIF, BMP or SVG).' });
+  }
+
+  req.params.originType = originType;
+  req.params.originSize = file.data.length;
+  req.params.filename = file.filename;
+  req.params.etag = null;
+  annotate({ originType });
+
+  res.setHeader('Cache-Control', 'private, no-store');
+  for (const field of req.params.vary) appendVary(res, field);
+
+  if (isSvg(originType)) await processSvg(req, res, file.data);
+  else if (shouldCompress(req, file.data)) await compress(req, res, file.data);
+  else bypass(req, res, file.data);
+}
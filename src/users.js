@@ -0,0 +1,176 @@
+import fs from 'fs';
+import crypto from 'crypto';
+import { hashPassword, verifyPasswordHash, hashApiKey } from './secrets.js';
+import defaultConfig from './config.js';
+import logger from './logger.js';
+
+export { hashPassword, hashApiKey, generateApiKey } from './secrets.js';
+
+/**
+ * File-backed user store (USERS_FILE, JSON):
+ *
+ * {
+ *   "users": [
+ *     {
+ *       "name": "alice",
+ *       "password": "scrypt$<salt b64>$<hash b64>",
+ *       "apiKeys": ["sha256$<hex>"],
+ *       "enabled": true,
+ *       "defaults": { "quality": 50, "grayscale": false }
+ *     }
+ *   ]
+ * }
+ *
+ * Secrets are never stored in clear; generate them with `npm run hash-secret -- <secret>`.
+ * The file is re-read when its mtime changes, so users can be disabled without a restart.
+ */
+
+// --- Constants ---
+const RELOAD_CHECK_MS = 5000;
+const USER_KEYS = new Set(['name', 'password', 'apiKeys', 'enabled', 'defaults']);
+const DEFAULT_KEYS = new Set(['quality', 'grayscale']);
+const VERIFIED_MAX = 1000;
+const REJECTED_MAX = 1000;
+const REJECTED_TTL_MS = 60_000;
+
+// Browsers resend Basic credentials with every image, and scrypt is deliberately slow.
+// Verifications are remembered by a digest of (password, stored hash): successes until the
+// set fills up, failures for a minute (a client retrying a wrong password costs one scrypt).
+const verified = new Set();
+const rejected = new Map(); // memo -> expiry
+
+async function verifyPassword(password, stored) {
+  if (typeof password !== 'string' || typeof stored !== 'string') return false;
+
+  const memo = crypto.createHash('sha256').update(`${password}\0${stored}`).digest('base64');
+  if (verified.has(memo)) return true;
+  if (rejected.get(memo) > Date.now()) return false;
+
+  if (!(await verifyPasswordHash(password, stored))) {
+    if (rejected.size >= REJECTED_MAX) rejected.clear();
+    rejected.set(memo, Date.now() + REJECTED_TTL_MS);
+    return false;
+  }
+
+  if (verified.size >= VERIFIED_MAX) verified.clear();
+  verified.add(memo);
+  return true;
+}
+
+function invalid(file, index, message) {
+  return new Error(`[Users] Invalid user #${index} in ${file}: ${message}`);
+}
+
+function normalizeUser(user, index, file) {
+  if (!user || typeof user !== 'object') throw invalid(file, index, 'must be an object');
+  for (const key of Object.keys(user)) {
+    if (!USER_KEYS.has(key)) throw invalid(file, index, `unknown key "${key}"`);
+  }
+  if (typeof user.name !== 'string' || !user.name) throw invalid(file, index, '"name" is required');
+  if (user.password !== undefined && !String(user.password).startsWith('scrypt$')) {
+    throw invalid(file, index, '"password" must be a scrypt hash (see npm run hash-secret)');
+  }
+
+  const apiKeys = user.apiKeys ?? [];
+  if (!Array.isArray(apiKeys) || apiKeys.some(k => typeof k !== 'string' || !k.startsWith('sha256$'))) {
+    throw invalid(file, index, '"apiKeys" must be a list of sha256 hashes (see npm run hash-secret)');
+  }
+
+  const defaults = user.defaults ?? {};
+  for (const key of Object.keys(defaults)) {
+    if (!DEFAULT_KEYS.has(key)) throw invalid(file, index, `unknown default "${key}"`);
+  }
+  if (defaults.quality !== undefined && !(Number.isInteger(defaults.quality) && defaults.quality >= 1 && defaults.quality <= 100)) {
+    throw invalid(file, index, '"defaults.quality" must be an integer between 1 and 100');
+  }
+  if (defaults.grayscale !== undefined && typeof defaults.grayscale !== 'boolean') {
+    throw invalid(file, index, '"defaults.grayscale" must be a boolean');
+  }
+
+  return {
+    name: user.name,
+    password: user.password ?? null,
+    apiKeys,
+    enabled: user.enabled !== false,
+    defaults
+  };
+}
+
+function readUsers(file) {
+  const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const list = Array.isArray(parsed) ? parsed : parsed?.users;
+  if (!Array.isArray(list)) throw new Error(`[Users] ${file} must contain a "users" array`);
+
+  const byName = new Map();
+  const byApiKey = new Map();
+  list.map((user, index) => normalizeUser(user, index, file)).forEach((user) => {
+    byName.set(user.name, user);
+    for (const key of user.apiKeys) byApiKey.set(key, user);
+  });
+  return { byName, byApiKey };
+}
+
+// Verified against when the user is unknown, so lookups take the same time either way
+const DUMMY_HASH = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+function identity(user, via) {
+  return { name: user.name, via, defaults: user.defaults };
+}
+
+/**
+ * Builds the store for `config`'s USERS_FILE. Throws when the file cannot be loaded, so a
+ * misconfigured deployment fails at startup.
+ *
+ * enabled                       whether a users file is configured
+ * findByCredentials(name, pass) Basic credentials (password or API key) -> identity, or null
+ * findByApiKey(key)             bearer API key -> identity, or null
+ */
+export function createUserStore({ config = defaultConfig } = {}) {
+  const file = config.auth.usersFile;
+
+  let store = { byName: new Map(), byApiKey: new Map() };
+  let loadedMtime = 0;
+  let lastCheck = 0;
+
+  // Reloads the file when it changed. A broken edit keeps the previous users (and logs),
+  // except initially, where it throws.
+  function refresh(initial = false) {
+    if (!file) return;
+    const now = Date.now();
+    if (!initial && now - lastCheck < RELOAD_CHECK_MS) return;
+    lastCheck = now;
+
+    try {
+      const { mtimeMs } = fs.statSync(file);
+      if (mtimeMs === loadedMtime) return;
+      store = readUsers(file);
+      loadedMtime = mtimeMs;
+    } catch (err) {
+      if (initial) throw new Error(`[Users] Cannot load ${file}: ${err.message}`);
+      logger.error('[Users] Keeping previous users; reload failed', { err });
+    }
+  }
+
+  refresh(true);
+
+  return {
+    enabled: Boolean(file),
+
+    async findByCredentials(name, secret) {
+      refresh();
+
+      const user = store.byName.get(name);
+      const passwordOk = await verifyPassword(secret, user?.password || DUMMY_HASH);
+      if (!user?.enabled) return null;
+      if (user.password && passwordOk) return identity(user, 'basic');
+
+      return store.byApiKey.get(hashApiKey(secret)) === user ? identity(user, 'basic') : null;
+    },
+
+    findByApiKey(key) {
+      refresh();
+      const user = store.byApiKey.get(hashApiKey(key));
+      return user?.enabled ? identity(user, 'bearer') : null;
+    }
+  };
+}